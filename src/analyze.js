@@ -3,6 +3,7 @@
 const fs = require('fs');
 const { execSync } = require('child_process');
 const path = require('path');
+const { findBrandProfile } = require('./brand-profile');
 
 // Configuration
 const BACKLINKS_FOLDER = 'backlinks';
@@ -36,6 +37,13 @@ function extractCompanyName(filename) {
   return firstWord;
 }
 
+// Helper function to extract the client's domain from CSV filename
+// "Lilly.com Backlinks Subdomains Oct 30 2025.csv" -> "lilly.com"
+function extractTargetDomain(filename) {
+  const domainMatch = filename.match(/^([a-zA-Z0-9-]+\.(com|net|org|edu|gov))\b/i);
+  return domainMatch ? domainMatch[1].toLowerCase() : null;
+}
+
 console.log('='.repeat(60));
 console.log('Backlink Sentiment Analyzer');
 console.log('='.repeat(60));
@@ -44,7 +52,7 @@ console.log();
 // Check if backlinks folder exists
 if (!fs.existsSync(BACKLINKS_FOLDER)) {
   console.error(`❌ Error: "${BACKLINKS_FOLDER}" folder not found`);
-  console.log(`\nPlease create a "${BACKLINKS_FOLDER}" folder and add your Ahrefs CSV file.`);
+  console.log(`\nPlease create a "${BACKLINKS_FOLDER}" folder and add your backlink CSV export (Ahrefs, Semrush, Majestic, Moz or Search Console).`);
   process.exit(1);
 }
 
@@ -53,7 +61,7 @@ const files = fs.readdirSync(BACKLINKS_FOLDER).filter(f => f.endsWith('.csv'));
 
 if (files.length === 0) {
   console.error(`❌ Error: No CSV files found in "${BACKLINKS_FOLDER}" folder`);
-  console.log('\nPlease add your Ahrefs CSV export to the backlinks folder.');
+  console.log('\nPlease add your backlink CSV export (Ahrefs, Semrush, Majestic, Moz or Search Console) to the backlinks folder.');
   process.exit(1);
 }
 
@@ -69,14 +77,36 @@ if (!fs.existsSync(inputPath)) {
   process.exit(1);
 }
 
-// Extract company name from filename
-const companyName = extractCompanyName(inputFile);
+// Look up the brand profile by the domain or company name in the filename;
+// without a profile, fall back to the name guessed from the filename
+const filenameDomain = extractTargetDomain(inputFile);
+const guessedName = extractCompanyName(inputFile);
+const brandProfile = findBrandProfile(filenameDomain) || findBrandProfile(guessedName);
+const companyName = brandProfile ? brandProfile.displayName : guessedName;
 
 // Check for --english-only flag
 const englishOnly = process.argv.includes('--english-only');
 
+// Client domain for locating the backlink on each page (an explicit --target-domain wins)
+const targetDomain = filenameDomain || (brandProfile && brandProfile.domains[0]) || null;
+
+// Remaining flags (e.g. --concurrency=8) are passed through to the sentiment analyzer
+const passthroughFlags = process.argv.slice(2)
+  .filter(arg => arg.startsWith('--') && arg !== '--english-only');
+if (targetDomain && !passthroughFlags.some(arg => arg.startsWith('--target-domain='))) {
+  passthroughFlags.push(`--target-domain=${targetDomain}`);
+}
+if (brandProfile && !passthroughFlags.some(arg => arg.startsWith('--brand='))) {
+  passthroughFlags.push(`--brand=${brandProfile.id}`);
+}
+const analyzerFlags = passthroughFlags.map(arg => `"${arg}"`).join(' ');
+
 console.log(`📁 Input file: ${inputFile}`);
 console.log(`🏢 Company name: ${companyName}`);
+console.log(`📇 Brand profile: ${brandProfile ? `config/brands/${brandProfile.id}.json` : 'none (using company name only)'}`);
+if (targetDomain) {
+  console.log(`🔗 Target domain: ${targetDomain}`);
+}
 if (englishOnly) {
   console.log(`🌐 Language filter: English only`);
 }
@@ -109,8 +139,8 @@ console.log(`📊 Output report: ${reportFile}`);
 console.log();
 
 try {
-  // Step 1: Parse the Ahrefs CSV
-  console.log('Step 1: Parsing Ahrefs CSV...');
+  // Step 1: Parse the backlink export (source tool is auto-detected)
+  console.log('Step 1: Parsing backlink CSV...');
   execSync(`node "${path.join(__dirname, 'parse-ahrefs-csv.js')}" "${inputPath}" "${cleanUrlsFile}" "${englishOnly}"`, { 
     stdio: 'inherit' 
   });
@@ -118,7 +148,7 @@ try {
 
   // Step 2: Run sentiment analysis
   console.log('Step 2: Running sentiment analysis...');
-  execSync(`node "${path.join(__dirname, 'sentiment-analyzer.js')}" "${cleanUrlsFile}" "${reportFile}" "${companyName}"`, { 
+  execSync(`node "${path.join(__dirname, 'sentiment-analyzer.js')}" "${cleanUrlsFile}" "${reportFile}" "${companyName}" ${analyzerFlags}`, { 
     stdio: 'inherit' 
   });
   console.log();
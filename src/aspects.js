@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+// Aspect taxonomy: what a brand sentence is about (product, pricing, safety, ...)
+const ASPECTS_FILE = path.join(__dirname, '..', 'config', 'aspects.json');
+
+// Example excerpts kept per aspect and polarity in the run summary
+const MAX_EXAMPLES = 2;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read the aspect taxonomy: { version, aspects: [{ id, label, triggers }] }
+function loadAspectTaxonomy(file = ASPECTS_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Aspect taxonomy not found: ${file}`);
+  }
+  const taxonomy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    version: taxonomy.version || '0.0.0',
+    aspects: (taxonomy.aspects || []).map(aspect => ({
+      id: aspect.id,
+      label: aspect.label || aspect.id,
+      triggers: aspect.triggers || [],
+      includeBrandProducts: Boolean(aspect.includeBrandProducts),
+      includeBrandExecutives: Boolean(aspect.includeBrandExecutives),
+    })),
+  };
+}
+
+// Build a sentence → aspect ids tagger. Aspects can pull in the brand's product
+// names and executives as extra triggers ("Mounjaro" is a product sentence).
+function createAspectTagger(taxonomy, brandProfile = null) {
+  const matchers = taxonomy.aspects.map(aspect => {
+    const triggers = [...aspect.triggers];
+    if (brandProfile && aspect.includeBrandProducts) triggers.push(...brandProfile.products);
+    if (brandProfile && aspect.includeBrandExecutives) triggers.push(...brandProfile.executives);
+    const alternation = [...new Set(triggers)].filter(Boolean).map(escapeRegex).join('|');
+    return {
+      id: aspect.id,
+      regex: alternation ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation})(?![\\p{L}\\p{N}])`, 'iu') : null,
+    };
+  });
+
+  return {
+    // Aspect ids a sentence talks about (may be several, or none)
+    tag(sentence) {
+      return matchers.filter(m => m.regex && m.regex.test(sentence)).map(m => m.id);
+    },
+  };
+}
+
+// Per-page aspect scores from scored brand sentences: { [aspectId]: { sentences, score, classification, excerpts } }
+// `scoredSentences` is [{ sentence, score }]; each sentence counts once per aspect.
+function scorePageAspects(scoredSentences, tagger, classify) {
+  const aspects = {};
+  scoredSentences.forEach(({ sentence, score }) => {
+    tagger.tag(sentence).forEach(id => {
+      if (!aspects[id]) aspects[id] = { sentences: 0, total: 0, excerpts: [] };
+      aspects[id].sentences++;
+      aspects[id].total += score;
+      aspects[id].excerpts.push({ sentence: sentence.length > 300 ? `${sentence.slice(0, 300)}...` : sentence, score });
+    });
+  });
+
+  Object.values(aspects).forEach(aspect => {
+    aspect.score = Math.round(aspect.total / aspect.sentences * 100) / 100;
+    aspect.classification = classify(aspect.score);
+    delete aspect.total;
+  });
+  return aspects;
+}
+
+// Run-wide sentiment per aspect: page and sentence counts, average score, distribution of
+// sentence classifications and the strongest favorable/unfavorable examples
+function summarizeAspects(results, taxonomy, classify) {
+  return taxonomy.aspects.map(aspect => {
+    const summary = {
+      id: aspect.id,
+      label: aspect.label,
+      pages: 0,
+      sentences: 0,
+      score: 0,
+      classification: 'neutral',
+      distribution: { positive: 0, neutral: 0, negative: 0 },
+      examples: { positive: [], negative: [] },
+    };
+
+    let total = 0;
+    const excerpts = [];
+    results.forEach(result => {
+      const pageAspect = result.sentiment && result.sentiment.aspects && result.sentiment.aspects[aspect.id];
+      if (!pageAspect) return;
+      summary.pages++;
+      pageAspect.excerpts.forEach(excerpt => {
+        summary.sentences++;
+        total += excerpt.score;
+        summary.distribution[classify(excerpt.score)]++;
+        excerpts.push({ ...excerpt, url: result.url });
+      });
+    });
+
+    if (summary.sentences > 0) {
+      summary.score = Math.round(total / summary.sentences * 100) / 100;
+      summary.classification = classify(summary.score);
+      summary.examples.positive = excerpts.filter(e => classify(e.score) === 'positive')
+        .sort((a, b) => b.score - a.score).slice(0, MAX_EXAMPLES);
+      summary.examples.negative = excerpts.filter(e => classify(e.score) === 'negative')
+        .sort((a, b) => a.score - b.score).slice(0, MAX_EXAMPLES);
+    }
+    return summary;
+  }).filter(summary => summary.sentences > 0);
+}
+
+module.exports = {
+  ASPECTS_FILE,
+  loadAspectTaxonomy,
+  createAspectTagger,
+  scorePageAspects,
+  summarizeAspects
+};
@@ -0,0 +1,83 @@
+// Common backlink record passed from the CSV parser to the analyzer via the .temp CSV.
+// Each field maps to its column name in the intermediate file and how to read it back.
+const BACKLINK_FIELDS = [
+  { key: 'url', type: 'string' },
+  { key: 'title', type: 'string' },
+  { key: 'domainRating', type: 'number' },
+  { key: 'urlRating', type: 'number' },
+  { key: 'pageTraffic', type: 'number' },
+  { key: 'domainTraffic', type: 'number' },
+  { key: 'anchor', type: 'string' },
+  { key: 'targetUrl', type: 'string' },
+  { key: 'firstSeen', type: 'string' },
+  { key: 'lastSeen', type: 'string' },
+  { key: 'nofollow', type: 'boolean' },
+  { key: 'sponsored', type: 'boolean' },
+  { key: 'ugc', type: 'boolean' },
+  { key: 'language', type: 'string' },
+  { key: 'source', type: 'string' },
+];
+
+// Convert a raw export value into the field's type (empty values become null)
+function coerceValue(value, type) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (str === '') return null;
+
+  if (type === 'number') {
+    const num = Number(str.replace(/,/g, ''));
+    return Number.isFinite(num) ? num : null;
+  }
+  if (type === 'boolean') {
+    const lower = str.toLowerCase();
+    if (['true', '1', 'yes', '+'].includes(lower)) return true;
+    if (['false', '0', 'no', '-'].includes(lower)) return false;
+    return null;
+  }
+  return str;
+}
+
+// Build a record from a row object, using `columns` to find each field's source column
+function buildRecord(row, columns) {
+  const record = {};
+  BACKLINK_FIELDS.forEach(({ key, type }) => {
+    const names = columns[key] || [];
+    const column = names.find(name => row[name] !== undefined && row[name] !== '');
+    record[key] = coerceValue(column ? row[column] : null, type);
+  });
+  return record;
+}
+
+// Read a record back from a row of the intermediate CSV (columns named after the record fields)
+function recordFromRow(row) {
+  const columns = {};
+  BACKLINK_FIELDS.forEach(({ key }) => {
+    columns[key] = [key];
+  });
+  return buildRecord(row, columns);
+}
+
+// Short human-readable summary of link metrics for report tables.
+// `labels` names the authority metrics in the source tool's terms (DR/UR, DA/PA, TF/CF...).
+function formatLinkMetrics(backlink, labels = {}) {
+  if (!backlink) return '';
+
+  const parts = [];
+  const domainLabel = labels.domainRating || 'Domain authority';
+  const urlLabel = labels.urlRating || 'Page authority';
+  if (backlink.domainRating !== null && backlink.domainRating !== undefined) parts.push(`${domainLabel} ${backlink.domainRating}`);
+  if (backlink.urlRating !== null && backlink.urlRating !== undefined) parts.push(`${urlLabel} ${backlink.urlRating}`);
+  if (backlink.pageTraffic !== null && backlink.pageTraffic !== undefined) parts.push(`Traffic ${backlink.pageTraffic.toLocaleString()}`);
+
+  const flags = ['nofollow', 'sponsored', 'ugc'].filter(flag => backlink[flag]);
+  if (flags.length > 0) parts.push(flags.join('/'));
+
+  return parts.join(' · ');
+}
+
+module.exports = {
+  BACKLINK_FIELDS,
+  buildRecord,
+  recordFromRow,
+  formatLinkMetrics
+};
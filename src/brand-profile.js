@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { disambiguateMentions } = require('./disambiguation');
+
+// Brand profiles live in config/brands/<id>.json
+const BRANDS_FOLDER = path.join(__dirname, '..', 'config', 'brands');
+
+// Profile fields whose terms count as brand mentions, with the kind recorded per mention
+const MENTION_FIELDS = [
+  { field: 'aliases', kind: 'name' },
+  { field: 'products', kind: 'product' },
+  { field: 'executives', kind: 'executive' },
+];
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase and drop punctuation/spacing so "WK Kellogg" and "WKKellogg" compare equal
+const normalizeKey = (str) => String(str).toLowerCase().replace(/[^a-z0-9.]/g, '');
+
+// Read every brand profile file
+function loadAllProfiles(folder = BRANDS_FOLDER) {
+  if (!fs.existsSync(folder)) return [];
+  return fs.readdirSync(folder)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8')));
+}
+
+// Fill in missing fields so callers can rely on every list being present
+function normalizeProfile(profile) {
+  const displayName = profile.displayName || profile.officialName || profile.id;
+  return {
+    id: profile.id || normalizeKey(displayName),
+    displayName,
+    officialName: profile.officialName || displayName,
+    match: profile.match || [],
+    domains: profile.domains || [],
+    aliases: profile.aliases && profile.aliases.length > 0 ? profile.aliases : [displayName],
+    products: profile.products || [],
+    tickers: profile.tickers || [],
+    executives: profile.executives || [],
+    exclusions: profile.exclusions || [],
+    // Industry lexicon packs (config/lexicons) applied on top of the general pack
+    lexicons: profile.lexicons || [],
+    // Disambiguation hints: aliases that are also common words/names, terms that confirm
+    // the client is meant, and terms that point at a different entity
+    ambiguousAliases: profile.ambiguousAliases || [],
+    contextTerms: profile.contextTerms || [],
+    negativeKeywords: profile.negativeKeywords || [],
+  };
+}
+
+// Find the profile for a company name or domain (by id, display name, match keys or domains)
+function findBrandProfile(name, folder = BRANDS_FOLDER) {
+  if (!name) return null;
+  const key = normalizeKey(name);
+  const profile = loadAllProfiles(folder).find(p =>
+    [p.id, p.displayName, ...(p.match || []), ...(p.domains || [])]
+      .filter(Boolean)
+      .some(candidate => normalizeKey(candidate) === key)
+  );
+  return profile ? normalizeProfile(profile) : null;
+}
+
+// Profile for brands without a config file: the name itself is the only alias
+function defaultBrandProfile(name) {
+  return normalizeProfile({ id: normalizeKey(name), displayName: name });
+}
+
+// Build one alternation regex for a list of terms, longest first so "Eli Lilly" wins over "Lilly".
+// Terms must stand alone (no letters/digits either side); a trailing possessive is included.
+function buildTermRegex(terms, flags) {
+  const unique = [...new Set(terms.filter(Boolean))].sort((a, b) => b.length - a.length);
+  if (unique.length === 0) return null;
+  const alternation = unique.map(escapeRegex).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation})(?:['’]s)?(?![\\p{L}\\p{N}])`, `${flags}u`);
+}
+
+// Create mention helpers for a brand profile.
+// Names, products and executives match case-insensitively; tickers only in capitals.
+// Matches inside an exclusion phrase ("Lilly Pulitzer") are ignored. Every mention is then
+// disambiguated: rejected mentions never count, ambiguous ones count unless
+// `ambiguous` is 'exclude' (default 'flag' keeps them but marks them in reports).
+function createBrandMatcher(profile, { ambiguous = 'flag' } = {}) {
+  const termKinds = new Map();
+  MENTION_FIELDS.forEach(({ field, kind }) => {
+    profile[field].forEach(term => {
+      if (!termKinds.has(term.toLowerCase())) termKinds.set(term.toLowerCase(), kind);
+    });
+  });
+
+  profile.ambiguousAliases.forEach(term => {
+    if (!termKinds.has(term.toLowerCase())) termKinds.set(term.toLowerCase(), 'name');
+  });
+
+  const nameRegex = buildTermRegex([...termKinds.keys()], 'gi');
+  const tickerRegex = buildTermRegex(profile.tickers, 'g');
+  const exclusionRegex = buildTermRegex(profile.exclusions, 'gi');
+
+  // Every candidate mention in the text, in order, with its disambiguation verdict:
+  // { index, length, text, kind, confidence, status, signals }
+  function analyzeMentions(text) {
+    if (!text) return [];
+
+    const excluded = [];
+    if (exclusionRegex) {
+      for (const match of text.matchAll(exclusionRegex)) {
+        excluded.push([match.index, match.index + match[0].length]);
+      }
+    }
+    const isExcluded = (start, end) => excluded.some(([s, e]) => start < e && end > s);
+
+    const mentions = [];
+    const collect = (regex, kindFor) => {
+      if (!regex) return;
+      for (const match of text.matchAll(regex)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (isExcluded(start, end)) continue;
+        mentions.push({ index: start, length: match[0].length, text: match[0], kind: kindFor(match[0]) });
+      }
+    };
+
+    collect(nameRegex, matched => termKinds.get(matched.replace(/['’]s$/i, '').toLowerCase()) || 'name');
+    collect(tickerRegex, () => 'ticker');
+
+    mentions.sort((a, b) => a.index - b.index);
+    return disambiguateMentions(text, mentions, profile);
+  }
+
+  // Mentions that count as the client under the current ambiguity mode
+  function findMentions(text) {
+    return analyzeMentions(text).filter(m =>
+      m.status === 'confirmed' || (m.status === 'ambiguous' && ambiguous !== 'exclude')
+    );
+  }
+
+  return {
+    profile,
+    analyzeMentions,
+    findMentions,
+    test: (text) => findMentions(text).length > 0,
+    count: (text) => findMentions(text).length,
+  };
+}
+
+module.exports = {
+  BRANDS_FOLDER,
+  loadAllProfiles,
+  findBrandProfile,
+  defaultBrandProfile,
+  createBrandMatcher
+};
@@ -0,0 +1,199 @@
+const cheerio = require('cheerio');
+
+// Page regions text is split into
+const REGIONS = ['main', 'comments', 'boilerplate'];
+
+// Never part of readable content
+const STRIP_SELECTORS = 'script, style, noscript, iframe, svg, template, canvas';
+
+// User comment sections (WordPress, Disqus, schema.org Comment, common theme markup)
+const COMMENT_SELECTORS = [
+  '#comments', '.comments', '#respond', '.comment-list', '.commentlist',
+  '#disqus_thread', '[itemtype*="Comment"]', '[id*="comment-section"]', '[class*="comment-section"]',
+].join(', ');
+
+// Page chrome removed before scoring
+const BOILERPLATE_TAGS = 'nav, header, footer, aside, form, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"]';
+
+// class/id hints in the spirit of Readability
+const NEGATIVE_PATTERN = /cookie|consent|gdpr|banner|sidebar|related|recommend|share|social|newsletter|subscribe|promo|advert|sponsor|popup|modal|breadcrumb|widget|outbrain|taboola|comment|footer|masthead|menu/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|post|story|text|blog/i;
+
+// Blocks that contribute to their ancestors' content score
+const SCORABLE_SELECTORS = 'p, pre, td, blockquote, li';
+
+// Below this many characters the main-content guess is not trusted
+const MIN_MAIN_LENGTH = 250;
+
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Class and id of an element, for pattern checks
+function classAndId($el) {
+  return `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+}
+
+// Readability-style weight from class/id names
+function classWeight($el) {
+  const names = classAndId($el);
+  let weight = 0;
+  if (NEGATIVE_PATTERN.test(names)) weight -= 25;
+  if (POSITIVE_PATTERN.test(names)) weight += 25;
+  return weight;
+}
+
+// Share of an element's text that sits inside links (navigation lists score close to 1)
+function linkDensity($, $el) {
+  const textLength = clean($el.text()).length;
+  if (textLength === 0) return 0;
+  let linkLength = 0;
+  $el.find('a').each((i, a) => {
+    linkLength += clean($(a).text()).length;
+  });
+  return linkLength / textLength;
+}
+
+// Take the top-level matches of a selector out of the document and return their text
+function removeAll($, selector) {
+  const texts = [];
+  $(selector).each((i, el) => {
+    if ($(el).parents(selector).length === 0) {
+      texts.push(clean($(el).text()));
+    }
+  });
+  $(selector).remove();
+  return texts.filter(Boolean);
+}
+
+// Score DOM blocks and return the elements that make up the main article
+function findMainElements($) {
+  const scores = new Map();
+  const addScore = (el, amount) => {
+    if (!el || el.type !== 'tag' || el.name === 'body' || el.name === 'html') return;
+    if (!scores.has(el)) {
+      const $el = $(el);
+      let base = classWeight($el);
+      if (el.name === 'article' || el.name === 'main' || $el.attr('role') === 'main') base += 25;
+      else if (el.name === 'div') base += 5;
+      scores.set(el, base);
+    }
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  $(SCORABLE_SELECTORS).each((i, el) => {
+    const text = clean($(el).text());
+    if (text.length < 25) return;
+
+    // Longer, comma-rich paragraphs look like prose
+    const contentScore = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parent;
+    addScore(parent, contentScore);
+    if (parent) addScore(parent.parent, contentScore / 2);
+  });
+
+  let top = null;
+  let topScore = -Infinity;
+  scores.forEach((score, el) => {
+    const adjusted = score * (1 - linkDensity($, $(el)));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  });
+
+  if (!top) return [];
+
+  // Articles split across sibling containers: keep siblings that score well too
+  const threshold = Math.max(10, topScore * 0.2);
+  const siblings = $(top).parent().children().toArray();
+  return siblings.filter(el => el === top || (scores.get(el) || 0) >= threshold);
+}
+
+// Remove banners, sidebars and related-content widgets marked only by class/id. Elements
+// holding most of the page's prose are kept: a page wrapper like <div class="has-sidebar">
+// carries the article inside it.
+function removeUnlikelyCandidates($, boilerplate) {
+  const proseLength = ($el) => $el.find('p').toArray().reduce((sum, p) => sum + clean($(p).text()).length, 0);
+  const totalProse = proseLength($('body'));
+
+  $('body *').each((i, el) => {
+    const $el = $(el);
+    // Skip descendants of an element already removed
+    if ($el.closest('body').length === 0) return;
+    const names = classAndId($el);
+    if (!NEGATIVE_PATTERN.test(names) || POSITIVE_PATTERN.test(names)) return;
+    if ($el.find('article, main, [role="main"]').length > 0) return;
+    if (totalProse > 0 && proseLength($el) > totalProse / 2) return;
+    boilerplate.push(clean($el.text()));
+    $el.remove();
+  });
+}
+
+// One extraction pass; `stripUnlikely` turns class/id-based removal on or off
+function extractRegions(html, stripUnlikely) {
+  const $ = cheerio.load(html);
+
+  $(STRIP_SELECTORS).remove();
+
+  // Keep words in adjacent blocks apart once the markup is gone
+  $('p, div, li, h1, h2, h3, h4, h5, h6, td, th, blockquote, section, article, br').after(' ');
+
+  const comments = removeAll($, COMMENT_SELECTORS);
+  const boilerplate = removeAll($, BOILERPLATE_TAGS);
+  if (stripUnlikely) {
+    removeUnlikelyCandidates($, boilerplate);
+  }
+
+  let main = '';
+  const mainElements = findMainElements($);
+  if (mainElements.length > 0) {
+    main = clean(mainElements.map(el => $(el).text()).join(' '));
+  }
+
+  const semantic = $('article, main, [role="main"]').first();
+  if (main.length < MIN_MAIN_LENGTH && semantic.length && clean(semantic.text()).length > main.length) {
+    main = clean(semantic.text());
+    mainElements.splice(0, mainElements.length, semantic.get(0));
+  }
+
+  // Short pages: no reliable article block, so treat the remaining body as main content
+  if (main.length < MIN_MAIN_LENGTH) {
+    return {
+      main: clean($('body').text()),
+      comments: clean(comments.join(' ')),
+      boilerplate: clean(boilerplate.join(' ')),
+    };
+  }
+
+  // Whatever is left outside the article counts as boilerplate
+  $(mainElements).remove();
+  boilerplate.push(clean($('body').text()));
+
+  return {
+    main,
+    comments: clean(comments.join(' ')),
+    boilerplate: clean(boilerplate.filter(Boolean).join(' ')),
+  };
+}
+
+// Split a page into its main article, user comments and remaining boilerplate. As in
+// Readability, a pass that leaves too little main text is redone without class/id stripping.
+function extractContent(html) {
+  const regions = extractRegions(html, true);
+  if (regions.main.length >= MIN_MAIN_LENGTH) return regions;
+
+  const unstripped = extractRegions(html, false);
+  return unstripped.main.length > regions.main.length ? unstripped : regions;
+}
+
+// Describe where brand mentions were found, e.g. "2 in article, 1 in comments"
+function describeMentionRegions(mentionRegions) {
+  if (!mentionRegions) return '';
+  const labels = { main: 'in article', comments: 'in comments', boilerplate: 'in sidebars/banners (ignored)' };
+  return REGIONS
+    .filter(region => mentionRegions[region] > 0)
+    .map(region => `${mentionRegions[region]} ${labels[region]}`)
+    .join(', ');
+}
+
+module.exports = { REGIONS, extractContent, describeMentionRegions };
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const iconv = require('iconv-lite');
+
+// Delimiters we try when sniffing an export (Ahrefs uses tabs, Excel re-saves use commas or semicolons)
+const CANDIDATE_DELIMITERS = ['\t', ',', ';', '|'];
+
+// Number of lines inspected when sniffing the delimiter
+const SNIFF_LINES = 10;
+
+// Detect text encoding from the BOM, falling back to a NUL-byte heuristic for BOM-less UTF-16
+function detectEncoding(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { encoding: 'utf8', bom: true };
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { encoding: 'utf16le', bom: true };
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { encoding: 'utf16be', bom: true };
+  }
+
+  // ASCII text encoded as UTF-16 has a NUL in every other byte
+  const sample = buffer.subarray(0, Math.min(buffer.length, 4096));
+  let evenNulls = 0;
+  let oddNulls = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenNulls++;
+      else oddNulls++;
+    }
+  }
+  const pairs = Math.floor(sample.length / 2) || 1;
+  if (oddNulls / pairs > 0.3 && oddNulls > evenNulls * 2) {
+    return { encoding: 'utf16le', bom: false };
+  }
+  if (evenNulls / pairs > 0.3 && evenNulls > oddNulls * 2) {
+    return { encoding: 'utf16be', bom: false };
+  }
+
+  return { encoding: 'utf8', bom: false };
+}
+
+// Count delimiter occurrences per line, ignoring anything inside quotes
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let inQuotes = false;
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === delimiter && !inQuotes) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Pick the delimiter that splits the header into the most columns and stays consistent across sample rows
+function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, SNIFF_LINES);
+  if (lines.length === 0) return ',';
+
+  let best = { delimiter: ',', score: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const headerCount = countOutsideQuotes(lines[0], delimiter);
+    if (headerCount === 0) return;
+
+    // Rows with quoted newlines can throw the per-line count off, so only reward agreement
+    const consistent = lines.slice(1).filter(line => countOutsideQuotes(line, delimiter) === headerCount).length;
+    const score = headerCount * (1 + consistent);
+
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+}
+
+// Parse delimited text following RFC 4180 quoting rules.
+// Returns each record with the line number it started on, plus any quoting errors found.
+function parseDelimited(text, delimiter) {
+  const records = [];
+  const errors = [];
+
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let afterQuote = false;
+  let line = 1;
+  let recordLine = 1;
+  let recordError = null;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    const isBlank = fields.length === 1 && fields[0] === '';
+    if (recordError) {
+      errors.push({ line: recordLine, message: recordError });
+    } else if (!isBlank) {
+      records.push({ line: recordLine, values: fields });
+    }
+    fields = [];
+    recordError = null;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (char === '"') {
+      if (field === '' && !afterQuote) {
+        inQuotes = true;
+      } else if (!recordError) {
+        recordError = `Unexpected quote in field ${fields.length + 1}`;
+      }
+    } else {
+      if (afterQuote && !recordError) {
+        recordError = `Unexpected character after closing quote in field ${fields.length + 1}`;
+      }
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    recordError = 'Unterminated quoted field at end of file';
+  }
+  if (inQuotes || field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return { records, errors };
+}
+
+// Read a delimited export (Ahrefs, Excel re-save, etc.), sniffing encoding and delimiter.
+// Rows whose field count does not match the header are reported in `errors` by line number.
+function readDelimitedFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const { encoding, bom } = detectEncoding(buffer);
+
+  // iconv-lite strips the BOM while decoding
+  const text = iconv.decode(buffer, encoding);
+  const delimiter = detectDelimiter(text);
+  const { records, errors } = parseDelimited(text, delimiter);
+
+  if (records.length === 0) {
+    return { encoding, bom, delimiter, headers: [], rows: [], errors };
+  }
+
+  const [headerRecord, ...dataRecords] = records;
+  const headers = headerRecord.values.map(h => h.trim());
+  const rows = [];
+
+  dataRecords.forEach(record => {
+    if (record.values.length !== headers.length) {
+      errors.push({
+        line: record.line,
+        message: `Expected ${headers.length} fields, found ${record.values.length}`
+      });
+      return;
+    }
+    rows.push(record);
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+
+  return { encoding, bom, delimiter, headers, rows, errors };
+}
+
+// Quote a value for CSV output when it contains a comma, quote or newline
+function formatCSVField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+module.exports = {
+  detectEncoding,
+  detectDelimiter,
+  parseDelimited,
+  readDelimitedFile,
+  formatCSVField
+};
@@ -0,0 +1,144 @@
+// Characters either side of a mention that count as its context
+const WINDOW = 200;
+
+// Confidence thresholds for a mention referring to the client
+const CONFIRMED_THRESHOLD = 0.6;
+const AMBIGUOUS_THRESHOLD = 0.35;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive matcher for a list of terms (null when the list is empty)
+function termsRegex(terms) {
+  if (!terms || terms.length === 0) return null;
+  const alternation = terms.map(escapeRegex).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Distinct terms from `regex` found in `text`
+function distinctMatches(regex, text) {
+  if (!regex || !text) return [];
+  return [...new Set([...text.matchAll(regex)].map(m => m[0].toLowerCase()))];
+}
+
+// Decide per mention whether it refers to the client.
+// Each mention gets a confidence (0-1), a status (confirmed / ambiguous / rejected)
+// and the signals that moved its confidence, so reports can explain the decision.
+function disambiguateMentions(text, mentions, profile) {
+  const ambiguousTerms = new Set((profile.ambiguousAliases || []).map(t => t.toLowerCase()));
+  const contextRegex = termsRegex(profile.contextTerms);
+  const negativeRegex = termsRegex(profile.negativeKeywords);
+  const brandTerms = new Set([
+    ...profile.aliases, ...profile.products, ...profile.executives,
+  ].map(t => t.toLowerCase()));
+
+  // Page-level evidence: context terms anywhere on the page
+  const pageContext = distinctMatches(contextRegex, text);
+
+  const scored = mentions.map(mention => {
+    const bare = mention.text.replace(/['’]s$/i, '');
+    const isAmbiguous = ambiguousTerms.has(bare.toLowerCase());
+    const signals = [];
+    let confidence = isAmbiguous ? 0.5 : 0.9;
+
+    const windowText = text.slice(Math.max(0, mention.index - WINDOW), mention.index + mention.length + WINDOW);
+
+    // Co-occurring industry/company terms near the mention
+    const nearbyContext = distinctMatches(contextRegex, windowText);
+    if (nearbyContext.length > 0) {
+      confidence += Math.min(0.3, nearbyContext.length * 0.1);
+      signals.push(`context: ${nearbyContext.slice(0, 3).join(', ')}`);
+    } else if (pageContext.length >= 2) {
+      confidence += 0.1;
+      signals.push('page context');
+    }
+
+    // Terms that point at a different entity (people, competitors, namesakes)
+    const nearbyNegative = distinctMatches(negativeRegex, windowText);
+    if (nearbyNegative.length > 0) {
+      confidence -= Math.min(0.5, nearbyNegative.length * 0.25);
+      signals.push(`other entity: ${nearbyNegative.slice(0, 3).join(', ')}`);
+    }
+
+    // Brand names are written capitalized; "lilly pad" or "a landmark ruling" in running text are
+    // not the brand. Enough to drop an unambiguous name below CONFIRMED_THRESHOLD on its own.
+    if (mention.kind !== 'ticker' && bare === bare.toLowerCase() && /\p{L}/u.test(bare)) {
+      confidence -= 0.35;
+      signals.push('lowercase');
+    }
+
+    // Single-word names next to another capitalized word read like a person ("Lilly James")
+    if (isAmbiguous && !bare.includes(' ')) {
+      const after = text.slice(mention.index + mention.length).match(/^\s+(\p{Lu}\p{Ll}+)/u);
+      const before = text.slice(0, mention.index).match(/(\p{Lu}\p{Ll}+)\s+$/u);
+      const beforeName = before && !isSentenceStart(text, mention.index, before) ? before[1] : null;
+      const neighbor = [after && after[1], beforeName].find(name => name && !brandTerms.has(name.toLowerCase()));
+      if (neighbor) {
+        confidence -= 0.2;
+        signals.push(`name-like: ${neighbor}`);
+      }
+    }
+
+    return { ...mention, confidence, signals, ambiguousTerm: isAmbiguous };
+  });
+
+  // One sense per page: unambiguous mentions vouch for ambiguous ones on the same page
+  const hasStrongMention = scored.some(m => !m.ambiguousTerm && m.confidence >= CONFIRMED_THRESHOLD);
+  return scored.map(({ ambiguousTerm, ...mention }) => {
+    let confidence = mention.confidence;
+    const signals = [...mention.signals];
+    if (ambiguousTerm && hasStrongMention) {
+      confidence += 0.2;
+      signals.push('confirmed elsewhere on page');
+    }
+    confidence = Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100;
+
+    let status = 'rejected';
+    if (confidence >= CONFIRMED_THRESHOLD) status = 'confirmed';
+    else if (confidence >= AMBIGUOUS_THRESHOLD) status = 'ambiguous';
+
+    return { ...mention, confidence, status, signals };
+  });
+}
+
+// A capitalized word right before the mention only suggests a person when it is not
+// simply the first word of the sentence ("Lilly announced", "Yesterday Lilly said")
+function isSentenceStart(text, index, before) {
+  if (!before) return false;
+  const preceding = text.slice(0, index - before[0].length).trimEnd();
+  return preceding === '' || /[.!?:]$/.test(preceding);
+}
+
+// Page-level view of disambiguated mentions: average confidence of those that count
+// as the brand (under the ambiguity mode), plus how many were ambiguous or rejected
+function summarizeMentions(mentions, { ambiguous = 'flag' } = {}) {
+  const accepted = mentions.filter(m =>
+    m.status === 'confirmed' || (m.status === 'ambiguous' && ambiguous !== 'exclude')
+  );
+  const total = accepted.reduce((sum, m) => sum + m.confidence, 0);
+  return {
+    confidence: accepted.length > 0 ? Math.round(total / accepted.length * 100) / 100 : null,
+    ambiguous: mentions.filter(m => m.status === 'ambiguous').length,
+    rejected: mentions.filter(m => m.status === 'rejected').length,
+  };
+}
+
+// Short note for report tables, e.g. "confidence 0.72 · ⚠ 2 ambiguous · 1 not the brand"
+function formatMentionConfidence(result, mode = 'flag') {
+  if (!result || result.mentionConfidence === null || result.mentionConfidence === undefined) return '';
+  const parts = [`confidence ${result.mentionConfidence.toFixed(2)}`];
+  if (result.ambiguousMentions > 0) {
+    parts.push(`⚠ ${result.ambiguousMentions} ambiguous${mode === 'exclude' ? ' (excluded)' : ''}`);
+  }
+  if (result.rejectedMentions > 0) {
+    parts.push(`${result.rejectedMentions} not the brand`);
+  }
+  return parts.join(' · ');
+}
+
+module.exports = {
+  CONFIRMED_THRESHOLD,
+  AMBIGUOUS_THRESHOLD,
+  disambiguateMentions,
+  summarizeMentions,
+  formatMentionConfidence
+};
@@ -0,0 +1,85 @@
+// Classes scored by the evaluation harness, in report order
+const CLASSES = ['positive', 'neutral', 'negative', 'mixed'];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Accuracy, per-class precision/recall/F1 and the confusion matrix for [{ gold, predicted }]
+function computeMetrics(predictions, classes = CLASSES) {
+  const confusion = {};
+  classes.forEach(gold => {
+    confusion[gold] = {};
+    classes.forEach(predicted => { confusion[gold][predicted] = 0; });
+  });
+  predictions.forEach(({ gold, predicted }) => {
+    confusion[gold][predicted]++;
+  });
+
+  const perClass = {};
+  classes.forEach(cls => {
+    const truePositives = confusion[cls][cls];
+    const predictedCount = classes.reduce((sum, gold) => sum + confusion[gold][cls], 0);
+    const support = classes.reduce((sum, predicted) => sum + confusion[cls][predicted], 0);
+    const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+    const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+    perClass[cls] = { precision: round(precision), recall: round(recall), f1: round(f1), support };
+  });
+
+  // Macro F1 only averages classes present in the gold labels
+  const present = classes.filter(cls => perClass[cls].support > 0);
+  const correct = predictions.filter(p => p.gold === p.predicted).length;
+  return {
+    total: predictions.length,
+    correct,
+    accuracy: predictions.length > 0 ? round(correct / predictions.length) : 0,
+    macroF1: present.length > 0 ? round(present.reduce((sum, cls) => sum + perClass[cls].f1, 0) / present.length) : 0,
+    perClass,
+    confusion,
+  };
+}
+
+// Fixed-width text table: first column left-aligned, the rest right-aligned
+function formatTable(header, rows) {
+  const widths = header.map((cell, i) => Math.max(...[header, ...rows].map(row => String(row[i]).length)));
+  const line = (row) => row.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join('  ');
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// Per-class precision/recall/F1 table
+function formatMetricsTable(metrics) {
+  const rows = Object.entries(metrics.perClass)
+    .filter(([, m]) => m.support > 0 || m.precision > 0)
+    .map(([cls, m]) => [cls, m.precision.toFixed(2), m.recall.toFixed(2), m.f1.toFixed(2), m.support]);
+  return formatTable(['Class', 'Precision', 'Recall', 'F1', 'Support'], rows);
+}
+
+// Confusion matrix table (rows = gold label, columns = predicted)
+function formatConfusionMatrix(metrics) {
+  const classes = Object.keys(metrics.confusion);
+  const rows = classes.map(gold => [gold, ...classes.map(predicted => metrics.confusion[gold][predicted])]);
+  return formatTable(['gold \\ predicted', ...classes], rows);
+}
+
+// Two configurations side by side: F1 per class, accuracy and macro F1 with the change
+function formatComparisonTable(nameA, metricsA, nameB, metricsB) {
+  const signed = (n) => `${n > 0 ? '+' : ''}${n.toFixed(2)}`;
+  const rows = Object.keys(metricsA.perClass)
+    .filter(cls => metricsA.perClass[cls].support > 0)
+    .map(cls => [
+      `F1 ${cls}`,
+      metricsA.perClass[cls].f1.toFixed(2),
+      metricsB.perClass[cls].f1.toFixed(2),
+      signed(round(metricsB.perClass[cls].f1 - metricsA.perClass[cls].f1)),
+    ]);
+  rows.push(['Macro F1', metricsA.macroF1.toFixed(2), metricsB.macroF1.toFixed(2), signed(round(metricsB.macroF1 - metricsA.macroF1))]);
+  rows.push(['Accuracy', metricsA.accuracy.toFixed(2), metricsB.accuracy.toFixed(2), signed(round(metricsB.accuracy - metricsA.accuracy))]);
+  return formatTable(['Metric', nameA, nameB, 'Change'], rows);
+}
+
+module.exports = {
+  CLASSES,
+  computeMetrics,
+  formatMetricsTable,
+  formatConfusionMatrix,
+  formatComparisonTable
+};
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { findBrandProfile, defaultBrandProfile, createBrandMatcher } = require('./brand-profile');
+const { DEFAULT_LANGUAGE, buildLexicon, listLexiconLanguages, formatLexiconPacks } = require('./lexicon');
+const { loadAspectTaxonomy, createAspectTagger } = require('./aspects');
+const { loadRiskTaxonomy, createRiskDetector } = require('./risk-detector');
+const { createPageScorer } = require('./page-scorer');
+const { DEFAULT_MODEL, loadModel, createTextClassifier, formatModel } = require('./text-classifier');
+const { CLASSES, computeMetrics, formatMetricsTable, formatConfusionMatrix, formatComparisonTable } = require('./eval-metrics');
+
+// Gold-labelled corpus and scoring configurations
+const CORPUS_FILE = path.join(__dirname, '..', 'eval', 'corpus.json');
+const CONFIGS_FOLDER = path.join(__dirname, '..', 'eval', 'configs');
+const DEFAULT_CONFIG = path.join(CONFIGS_FOLDER, 'baseline.json');
+
+// Read a string --name=value flag from the command line
+function getStringFlag(name, defaultValue) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : defaultValue;
+}
+
+// A config is a file path or the name of a file in eval/configs
+function resolveConfigPath(value) {
+  if (fs.existsSync(value)) return value;
+  return path.join(CONFIGS_FOLDER, value.endsWith('.json') ? value : `${value}.json`);
+}
+
+// Read a scoring configuration: { name, lexicons, engineWeights, regionWeights, thresholds,
+// engine, model, modelWeight }. Omitted fields keep the analyzer defaults; `lexicons: null`
+// uses each brand profile's packs. A relative `model` path is resolved from the repo root.
+function loadConfig(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Evaluation config not found: ${file}`);
+  }
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { ...config, name: config.name || path.basename(file, '.json') };
+}
+
+// Read the corpus: { version, items: [{ id, brand, language, label, text, comments }] }.
+// `language` (default 'en') picks the lexicon, as the detected page language does in the analyzer.
+function loadCorpus(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Evaluation corpus not found: ${file}`);
+  }
+  const corpus = JSON.parse(fs.readFileSync(file, 'utf8'));
+  (corpus.items || []).forEach(item => {
+    if (!CLASSES.includes(item.label)) {
+      throw new Error(`Corpus item ${item.id} has unknown label "${item.label}" (use ${CLASSES.join(', ')})`);
+    }
+  });
+  return corpus;
+}
+
+// Classify every corpus item under one configuration (one page scorer per brand)
+function runConfig(config, items) {
+  const lexiconLanguages = listLexiconLanguages();
+  const itemLanguages = [...new Set(items.map(item => item.language || DEFAULT_LANGUAGE))]
+    .filter(language => language !== DEFAULT_LANGUAGE && lexiconLanguages.includes(language));
+  const aspectTaxonomy = loadAspectTaxonomy();
+  const riskDetector = createRiskDetector(loadRiskTaxonomy());
+  const scorers = new Map();
+  const packs = new Set();
+  const engine = config.engine || 'rules';
+  const model = engine === 'rules'
+    ? null
+    : loadModel(config.model ? path.resolve(__dirname, '..', config.model) : DEFAULT_MODEL);
+  const classifier = model ? createTextClassifier(model) : null;
+
+  const scorerFor = (brand) => {
+    if (!scorers.has(brand)) {
+      const brandProfile = findBrandProfile(brand) || defaultBrandProfile(brand);
+      const packNames = config.lexicons || brandProfile.lexicons;
+      const lexicon = buildLexicon(packNames);
+      const languageLexicons = {};
+      itemLanguages.forEach(language => {
+        languageLexicons[language] = buildLexicon(packNames, undefined, language);
+      });
+      [lexicon, ...Object.values(languageLexicons)].forEach(({ packs: lexiconPacks }) => {
+        lexiconPacks.forEach(pack => packs.add(formatLexiconPacks([pack])));
+      });
+      scorers.set(brand, createPageScorer({
+        brandMatcher: createBrandMatcher(brandProfile),
+        lexicon,
+        languageLexicons,
+        aspectTagger: createAspectTagger(aspectTaxonomy, brandProfile),
+        riskDetector,
+        engineWeights: config.engineWeights,
+        regionWeights: config.regionWeights,
+        thresholds: config.thresholds,
+        engine,
+        classifier,
+        modelWeight: config.modelWeight,
+      }));
+    }
+    return scorers.get(brand);
+  };
+
+  const predictions = items.map(item => {
+    const sentiment = scorerFor(item.brand).analyzeSentiment({
+      main: item.text,
+      comments: item.comments || '',
+      boilerplate: '',
+    }, item.language || DEFAULT_LANGUAGE);
+    return {
+      id: item.id,
+      brand: item.brand,
+      language: item.language || DEFAULT_LANGUAGE,
+      text: item.text,
+      gold: item.label,
+      predicted: sentiment ? sentiment.classification : 'neutral',
+      score: sentiment ? sentiment.score : 0,
+    };
+  });
+
+  return { config, packs: [...packs], model, predictions, metrics: computeMetrics(predictions) };
+}
+
+const excerpt = (text) => (text.length > 100 ? `${text.slice(0, 100)}...` : text);
+
+// Metrics, confusion matrix and misclassified items for one configuration
+function printRun(run) {
+  const { config, metrics, predictions } = run;
+  console.log(`Config: ${config.name}${config.description ? ` - ${config.description}` : ''}`);
+  console.log(`Lexicons: ${run.packs.join(', ')}`);
+  if (run.model) console.log(`Model: ${formatModel(run.model)} (${run.config.engine} engine)`);
+  console.log();
+  console.log(formatMetricsTable(metrics));
+  console.log();
+  console.log(`Accuracy: ${metrics.accuracy.toFixed(2)} (${metrics.correct}/${metrics.total})   Macro F1: ${metrics.macroF1.toFixed(2)}`);
+  const languages = [...new Set(predictions.map(p => p.language))];
+  if (languages.length > 1) {
+    console.log(`By language: ${languages.map(language => {
+      const { accuracy, correct, total } = computeMetrics(predictions.filter(p => p.language === language));
+      return `${language} ${accuracy.toFixed(2)} (${correct}/${total})`;
+    }).join(', ')}`);
+  }
+  console.log();
+  console.log('Confusion matrix (rows = gold label, columns = predicted):');
+  console.log(formatConfusionMatrix(metrics));
+  console.log();
+
+  const misclassified = predictions.filter(p => p.gold !== p.predicted);
+  console.log(`Misclassified (${misclassified.length}):`);
+  misclassified.forEach(p => {
+    console.log(`  ✗ ${p.id}: ${p.gold} → ${p.predicted} (score ${p.score}) "${excerpt(p.text)}"`);
+  });
+}
+
+// Items whose prediction changed between the two configurations
+function printChanges(runA, runB) {
+  const changed = runA.predictions
+    .map((a, i) => ({ a, b: runB.predictions[i] }))
+    .filter(({ a, b }) => a.predicted !== b.predicted);
+  const fixed = changed.filter(({ b }) => b.predicted === b.gold);
+  const broken = changed.filter(({ a }) => a.predicted === a.gold);
+
+  console.log(`Changed predictions (${changed.length}): ${fixed.length} fixed, ${broken.length} broken`);
+  changed.forEach(({ a, b }) => {
+    const mark = b.predicted === b.gold ? '✓' : a.predicted === a.gold ? '✗' : '~';
+    console.log(`  ${mark} ${a.id} (gold ${a.gold}): ${a.predicted} (${a.score}) → ${b.predicted} (${b.score})`);
+  });
+}
+
+function main() {
+  const corpusFile = getStringFlag('corpus', CORPUS_FILE);
+  const configFile = resolveConfigPath(getStringFlag('config', DEFAULT_CONFIG));
+  const compareFile = getStringFlag('compare', null);
+  const jsonFile = getStringFlag('json', null);
+
+  let corpus;
+  let runs;
+  try {
+    corpus = loadCorpus(corpusFile);
+    const configs = [loadConfig(configFile), ...(compareFile ? [loadConfig(resolveConfigPath(compareFile))] : [])];
+    runs = configs.map(config => runConfig(config, corpus.items));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Sentiment Evaluation');
+  console.log('='.repeat(60));
+  console.log(`Corpus: ${path.relative(process.cwd(), corpusFile)} (${corpus.items.length} items, version ${corpus.version || 'unversioned'})`);
+  console.log('='.repeat(60));
+  console.log();
+
+  runs.forEach((run, i) => {
+    if (i > 0) console.log('-'.repeat(60));
+    printRun(run);
+    console.log();
+  });
+
+  if (runs.length === 2) {
+    const [runA, runB] = runs;
+    console.log('='.repeat(60));
+    console.log(`Comparison: ${runA.config.name} vs. ${runB.config.name}`);
+    console.log('='.repeat(60));
+    console.log(formatComparisonTable(runA.config.name, runA.metrics, runB.config.name, runB.metrics));
+    console.log();
+    printChanges(runA, runB);
+    console.log();
+  }
+
+  if (jsonFile) {
+    fs.writeFileSync(jsonFile, JSON.stringify({
+      corpus: { file: corpusFile, version: corpus.version || null, items: corpus.items.length },
+      runs: runs.map(run => ({
+        config: run.config,
+        lexicons: run.packs,
+        model: run.model ? { type: run.model.type, version: run.model.version, trainedAt: run.model.trainedAt, examples: run.model.examples } : null,
+        metrics: run.metrics,
+        predictions: run.predictions,
+      })),
+    }, null, 2));
+    console.log(`✓ Evaluation results saved to: ${jsonFile}`);
+  }
+}
+
+main();
@@ -0,0 +1,131 @@
+// Error types recorded on failed results, with the label used in reports
+const ERROR_TYPES = {
+  'dead-link': 'Dead backlink (404/410)',
+  'bot-blocked': 'Blocked by site (401/403)',
+  'rate-limited': 'Rate limited (429)',
+  'server-error': 'Server error (5xx)',
+  'http-error': 'Other HTTP error',
+  'timeout': 'Timeout',
+  'dns': 'DNS failure',
+  'tls': 'TLS/certificate error',
+  'connection': 'Connection refused/reset',
+  'redirect-loop': 'Too many redirects',
+  'not-cached': 'Not in page cache (offline)',
+  'unknown': 'Unknown error',
+};
+
+const TLS_CODES = [
+  'CERT_HAS_EXPIRED', 'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'ERR_TLS_CERT_ALTNAME_INVALID', 'EPROTO', 'ERR_SSL_WRONG_VERSION_NUMBER',
+];
+
+// Fetch failure with a structured type, HTTP status and retry hints
+class FetchError extends Error {
+  constructor(message, { type = 'unknown', httpStatus = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.type = type;
+    this.httpStatus = httpStatus;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Map an HTTP status to an error type and whether retrying may help
+function classifyStatus(status) {
+  if (status === 404 || status === 410) return { type: 'dead-link', retryable: false };
+  if (status === 401 || status === 403) return { type: 'bot-blocked', retryable: false };
+  if (status === 429) return { type: 'rate-limited', retryable: true };
+  if ([500, 502, 503, 504].includes(status)) return { type: 'server-error', retryable: true };
+  if (status >= 500) return { type: 'server-error', retryable: false };
+  return { type: 'http-error', retryable: false };
+}
+
+// Convert an axios (or network) error into a FetchError
+function classifyFetchError(error) {
+  if (error instanceof FetchError) return error;
+
+  if (error.response) {
+    const status = error.response.status;
+    const { type, retryable } = classifyStatus(status);
+    const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+    return new FetchError(`Failed to fetch: HTTP ${status}${error.response.statusText ? ` ${error.response.statusText}` : ''}`, {
+      type,
+      httpStatus: status,
+      retryable,
+      retryAfter,
+    });
+  }
+
+  const code = error.code || (error.cause && error.cause.code) || '';
+  const message = `Failed to fetch: ${error.message}`;
+
+  if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+    return new FetchError(message, { type: 'timeout', retryable: true });
+  }
+  if (code === 'ENOTFOUND') {
+    return new FetchError(message, { type: 'dns', retryable: false });
+  }
+  if (code === 'EAI_AGAIN') {
+    return new FetchError(message, { type: 'dns', retryable: true });
+  }
+  if (TLS_CODES.includes(code) || /certificate|ssl|tls/i.test(error.message)) {
+    return new FetchError(message, { type: 'tls', retryable: false });
+  }
+  if (code === 'ECONNRESET' || code === 'EPIPE') {
+    return new FetchError(message, { type: 'connection', retryable: true });
+  }
+  if (code === 'ECONNREFUSED' || code === 'EHOSTUNREACH' || code === 'ENETUNREACH') {
+    return new FetchError(message, { type: 'connection', retryable: false });
+  }
+  if (code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+    return new FetchError(message, { type: 'redirect-loop', retryable: false });
+  }
+  return new FetchError(message, { type: 'unknown', retryable: false });
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `fn` and retry transient failures with exponential backoff (plus jitter).
+// A server's Retry-After wins over the computed backoff, up to `maxRetryAfter`.
+async function withRetry(fn, { retries = 2, baseDelay = 1000, maxRetryAfter = 60000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (rawError) {
+      const error = classifyFetchError(rawError);
+      if (!error.retryable || attempt >= retries) {
+        throw error;
+      }
+      // A Retry-After beyond our patience means retrying now would just fail again
+      if (error.retryAfter !== null && error.retryAfter > maxRetryAfter) {
+        throw error;
+      }
+
+      const backoff = baseDelay * 2 ** attempt + Math.floor(Math.random() * baseDelay / 2);
+      const wait = error.retryAfter !== null ? error.retryAfter : backoff;
+      if (onRetry) onRetry(error, attempt + 1, wait);
+      await delay(wait);
+    }
+  }
+}
+
+module.exports = {
+  ERROR_TYPES,
+  FetchError,
+  classifyFetchError,
+  parseRetryAfter,
+  withRetry
+};
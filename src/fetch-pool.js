@@ -0,0 +1,104 @@
+// Default host key for pool items: the URL's hostname (www. stripped so both variants share a slot)
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+}
+
+// Run `worker(item, index)` over all items with a global concurrency limit,
+// at most `perHostConcurrency` in-flight requests per host and at least
+// `perHostDelay` ms between request starts on the same host. `getHostDelay(host)`
+// can raise the spacing for individual hosts (e.g. a robots.txt Crawl-delay
+// discovered while the first request was running).
+// Results are returned in input order regardless of completion order.
+function runPool(items, worker, options = {}) {
+  const {
+    concurrency = 5,
+    perHostConcurrency = 1,
+    perHostDelay = 1000,
+    getHost = item => getHostname(item.url || item),
+    getHostDelay = () => 0,
+  } = options;
+
+  const delayFor = (host) => Math.max(perHostDelay, getHostDelay(host) || 0);
+
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => ({ item, index, host: getHost(item) }));
+  const hosts = new Map();
+  let active = 0;
+  let timer = null;
+  let failed = false;
+
+  const hostState = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, nextStart: 0 });
+    }
+    return hosts.get(host);
+  };
+
+  return new Promise((resolve, reject) => {
+    const schedule = () => {
+      if (failed) return;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+
+      if (pending.length === 0 && active === 0) {
+        resolve(results);
+        return;
+      }
+
+      // Start the earliest queued items whose host has a free slot and has waited long enough
+      const now = Date.now();
+      let earliestWait = Infinity;
+      for (let i = 0; i < pending.length && active < concurrency;) {
+        const task = pending[i];
+        const state = hostState(task.host);
+
+        if (state.active >= perHostConcurrency) {
+          i++;
+        } else if (state.nextStart > now) {
+          earliestWait = Math.min(earliestWait, state.nextStart);
+          i++;
+        } else {
+          pending.splice(i, 1);
+          start(task, state);
+        }
+      }
+
+      // Every ready slot is throttled by host spacing: wake up when the first one frees
+      if (pending.length > 0 && active < concurrency && earliestWait !== Infinity) {
+        timer = setTimeout(schedule, earliestWait - now);
+      }
+    };
+
+    const start = (task, state) => {
+      const startedAt = Date.now();
+      active++;
+      state.active++;
+      state.nextStart = startedAt + delayFor(task.host);
+
+      Promise.resolve()
+        .then(() => worker(task.item, task.index))
+        .then(result => {
+          results[task.index] = result;
+          active--;
+          state.active--;
+          state.nextStart = Math.max(state.nextStart, startedAt + delayFor(task.host));
+          schedule();
+        })
+        .catch(error => {
+          failed = true;
+          if (timer) clearTimeout(timer);
+          reject(error);
+        });
+    };
+
+    schedule();
+  });
+}
+
+module.exports = { runPool, getHostname };
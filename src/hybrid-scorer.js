@@ -0,0 +1,112 @@
+const Sentiment = require('sentiment');
+const english = require('sentiment/languages/en');
+
+// How much each engine counts towards the combined score
+const DEFAULT_ENGINE_WEIGHTS = { indicators: 0.6, afinn: 0.4 };
+
+// Combined scores (-1 to 1) at or beyond these are favorable / unfavorable
+const DEFAULT_THRESHOLDS = { positive: 0.2, negative: -0.15 };
+
+// Raw scores that map to about ±0.76 after normalization
+const INDICATOR_SCALE = 3; // indicator score (positive - 2 × negative)
+const AFINN_SCALE = 2; // AFINN points per brand sentence
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Each AFINN scorer registers its own language (the library keeps languages in one shared registry)
+let afinnScorers = 0;
+
+// Classification of a combined score
+function classifyScore(score, thresholds = DEFAULT_THRESHOLDS) {
+  if (score >= thresholds.positive) return 'positive';
+  if (score <= thresholds.negative) return 'negative';
+  return 'neutral';
+}
+
+// Word-list scoring strategy for other languages: a single-word negator right before a word flips it
+function negationStrategy(rules) {
+  const negators = new Set(((rules && rules.negators) || []).filter(term => !/\s/.test(term)));
+  return {
+    apply(tokens, cursor, tokenScore) {
+      return cursor > 0 && negators.has(tokens[cursor - 1]) ? -tokenScore : tokenScore;
+    },
+  };
+}
+
+// AFINN-165 scorer with the lexicon's overrides. The overrides (plus single-word
+// neutralizers, scored 0) are registered as their own language so the library's shared
+// English word list stays untouched. Lexicons in other languages have no AFINN list to
+// build on: their pack word scores are the whole list.
+function createAfinnScorer(lexicon, languageCode = `${lexicon.language || 'en'}-brand-${++afinnScorers}`) {
+  const overrides = {};
+  (lexicon.neutralizers || []).filter(term => !/\s/.test(term)).forEach(term => {
+    overrides[term] = 0;
+  });
+  Object.assign(overrides, lexicon.afinn || {});
+
+  const isEnglish = !lexicon.language || lexicon.language === 'en';
+  const sentiment = new Sentiment();
+  sentiment.registerLanguage(languageCode, {
+    labels: isEnglish ? { ...english.labels, ...overrides } : overrides,
+    scoringStrategy: isEnglish ? english.scoringStrategy : negationStrategy(lexicon.rules),
+  });
+
+  return {
+    overrides: Object.keys(overrides).length,
+    // { score, tokens, positive, negative } for a piece of text
+    analyze(text) {
+      const result = sentiment.analyze(text || '', { language: languageCode });
+      return {
+        score: result.score,
+        tokens: result.tokens.length,
+        positive: result.positive,
+        negative: result.negative,
+      };
+    },
+  };
+}
+
+// Merge indicator and AFINN results into one score between -1 and 1.
+// Each engine is squashed to -1..1 first so neither dominates by scale alone;
+// the per-engine sub-scores are returned for transparency.
+function combineScores({ indicatorScore, afinnScore, afinnTokens, sentences }, weights = DEFAULT_ENGINE_WEIGHTS, thresholds = DEFAULT_THRESHOLDS) {
+  const indicatorNormalized = Math.tanh(indicatorScore / INDICATOR_SCALE);
+  const afinnNormalized = Math.tanh(afinnScore / Math.max(sentences, 1) / AFINN_SCALE);
+  const totalWeight = (weights.indicators + weights.afinn) || 1;
+  const score = round((weights.indicators * indicatorNormalized + weights.afinn * afinnNormalized) / totalWeight);
+
+  return {
+    score,
+    classification: classifyScore(score, thresholds),
+    engines: {
+      indicators: { score: round(indicatorScore, 1), normalized: round(indicatorNormalized), weight: weights.indicators },
+      afinn: {
+        score: round(afinnScore, 1),
+        comparative: afinnTokens > 0 ? round(afinnScore / afinnTokens, 4) : 0,
+        normalized: round(afinnNormalized),
+        weight: weights.afinn,
+      },
+    },
+  };
+}
+
+// "indicators +0.46 (×0.6) · AFINN +0.31 (×0.4)" for report tables
+function formatEngineScores(engines) {
+  if (!engines) return '';
+  const signed = (n) => `${n > 0 ? '+' : ''}${n.toFixed(2)}`;
+  return [
+    `indicators ${signed(engines.indicators.normalized)} (×${engines.indicators.weight})`,
+    `AFINN ${signed(engines.afinn.normalized)} (×${engines.afinn.weight})`,
+    engines.model ? `model ${signed(engines.model.score)} (×${engines.model.weight})` : null,
+    engines.ratings ? `ratings ${signed(engines.ratings.score)} (×${engines.ratings.weight})` : null,
+  ].filter(Boolean).join(' · ');
+}
+
+module.exports = {
+  DEFAULT_ENGINE_WEIGHTS,
+  DEFAULT_THRESHOLDS,
+  classifyScore,
+  createAfinnScorer,
+  combineScores,
+  formatEngineScores
+};
@@ -0,0 +1,23 @@
+// Ahrefs Site Explorer "Backlinks" export
+module.exports = {
+  id: 'ahrefs',
+  label: 'Ahrefs',
+  signatures: [['Referring page URL']],
+  metricLabels: { domainRating: 'DR', urlRating: 'UR' },
+  columns: {
+    url: ['Referring page URL'],
+    title: ['Referring page title'],
+    domainRating: ['Domain rating', 'DR'],
+    urlRating: ['UR', 'URL rating'],
+    pageTraffic: ['Page traffic', 'Referring page traffic'],
+    domainTraffic: ['Domain traffic'],
+    anchor: ['Anchor'],
+    targetUrl: ['Target URL'],
+    firstSeen: ['First seen'],
+    lastSeen: ['Last seen'],
+    nofollow: ['Nofollow'],
+    sponsored: ['Sponsored'],
+    ugc: ['UGC'],
+    language: ['Language'],
+  },
+};
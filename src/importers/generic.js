@@ -0,0 +1,10 @@
+// Fallback for plain URL lists and unrecognized exports (URL column resolved from the header)
+module.exports = {
+  id: 'generic',
+  label: 'CSV',
+  signatures: [],
+  metricLabels: {},
+  columns: {
+    url: ['url', 'link'],
+  },
+};
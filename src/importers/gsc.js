@@ -0,0 +1,12 @@
+// Google Search Console "Links" report export (Latest links / Sample links)
+module.exports = {
+  id: 'gsc',
+  label: 'Google Search Console',
+  signatures: [['Linking page']],
+  metricLabels: {},
+  columns: {
+    url: ['Linking page'],
+    targetUrl: ['Target page'],
+    lastSeen: ['Last crawled'],
+  },
+};
@@ -0,0 +1,93 @@
+const { buildRecord } = require('../backlink-record');
+
+// Registered importers, checked in order. Add new link tools here.
+const IMPORTERS = [
+  require('./ahrefs'),
+  require('./semrush'),
+  require('./majestic'),
+  require('./moz'),
+  require('./gsc'),
+];
+
+const genericImporter = require('./generic');
+
+// Compare header names ignoring case, spacing and punctuation ("Source URL" == "SourceURL")
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Map each record field to the actual header names present in this export
+function resolveColumns(importer, headers) {
+  const byNormalized = new Map();
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    if (!byNormalized.has(key)) byNormalized.set(key, header);
+  });
+
+  const columns = {};
+  Object.entries(importer.columns).forEach(([field, names]) => {
+    columns[field] = names
+      .map(name => byNormalized.get(normalizeHeader(name)))
+      .filter(Boolean);
+  });
+  return columns;
+}
+
+// Detect the source tool from the header signature.
+// Returns the importer and its resolved columns, falling back to the first URL-like column.
+function detectImporter(headers) {
+  const normalized = new Set(headers.map(normalizeHeader));
+  let best = null;
+
+  IMPORTERS.forEach(importer => {
+    const matchesSignature = importer.signatures.some(signature =>
+      signature.every(name => normalized.has(normalizeHeader(name)))
+    );
+    if (!matchesSignature) return;
+
+    const columns = resolveColumns(importer, headers);
+    const score = Object.values(columns).reduce((sum, names) => sum + names.length, 0);
+    if (!best || score > best.score) {
+      best = { importer, columns, score };
+    }
+  });
+
+  if (best) {
+    return { importer: best.importer, columns: best.columns };
+  }
+
+  const columns = resolveColumns(genericImporter, headers);
+  if (columns.url.length === 0) {
+    const urlHeader = headers.find(h => /url|link/i.test(h));
+    columns.url = urlHeader ? [urlHeader] : [];
+  }
+  return { importer: genericImporter, columns };
+}
+
+// Convert one export row (header -> value) into a common backlink record
+function importRow(importer, columns, row) {
+  let record = buildRecord(row, columns);
+  if (importer.transform) {
+    record = importer.transform(record, row);
+  }
+  record.source = importer.id;
+  return record;
+}
+
+// Look up an importer by id (unknown ids fall back to the generic importer)
+function getImporter(id) {
+  return IMPORTERS.find(importer => importer.id === id) || genericImporter;
+}
+
+// Metric labels for a record's source tool (e.g. DR/UR for Ahrefs, DA/PA for Moz)
+function getMetricLabels(source) {
+  return getImporter(source).metricLabels;
+}
+
+module.exports = {
+  IMPORTERS,
+  detectImporter,
+  importRow,
+  getImporter,
+  getMetricLabels
+};
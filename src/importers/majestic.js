@@ -0,0 +1,19 @@
+// Majestic Site Explorer backlinks export ("Source URL" and "SourceURL" header styles)
+module.exports = {
+  id: 'majestic',
+  label: 'Majestic',
+  signatures: [['Source URL', 'Source Trust Flow'], ['Source URL', 'Flag NoFollow']],
+  metricLabels: { domainRating: 'TF', urlRating: 'CF' },
+  columns: {
+    url: ['Source URL'],
+    title: ['Source Title'],
+    domainRating: ['Source Trust Flow'],
+    urlRating: ['Source Citation Flow'],
+    anchor: ['Anchor Text'],
+    targetUrl: ['Target URL'],
+    firstSeen: ['First Indexed Date'],
+    lastSeen: ['Last Seen Date'],
+    nofollow: ['Flag NoFollow'],
+    language: ['Source Language'],
+  },
+};
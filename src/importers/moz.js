@@ -0,0 +1,26 @@
+// Moz Link Explorer inbound links export
+module.exports = {
+  id: 'moz',
+  label: 'Moz',
+  signatures: [['URL', 'Domain Authority'], ['Source URL', 'Source DA']],
+  metricLabels: { domainRating: 'DA', urlRating: 'PA' },
+  columns: {
+    url: ['URL', 'Source URL'],
+    title: ['Title', 'Source Title'],
+    domainRating: ['Domain Authority', 'Source DA'],
+    urlRating: ['Page Authority', 'Source PA'],
+    anchor: ['Anchor Text'],
+    targetUrl: ['Target URL'],
+    firstSeen: ['Date First Seen', 'First Seen'],
+    lastSeen: ['Date Last Seen', 'Last Seen'],
+  },
+
+  // Moz reports follow/nofollow as a single "Link Type" column
+  transform(record, row) {
+    const linkType = String(row['Link Type'] || row['Link type'] || '').toLowerCase();
+    if (linkType) {
+      record.nofollow = linkType.includes('nofollow');
+    }
+    return record;
+  },
+};
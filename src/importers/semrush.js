@@ -0,0 +1,20 @@
+// Semrush Backlink Analytics "Backlinks" export
+module.exports = {
+  id: 'semrush',
+  label: 'Semrush',
+  signatures: [['Source url', 'Target url'], ['Source url', 'Page ascore']],
+  metricLabels: { domainRating: 'Domain AS', urlRating: 'Page AS' },
+  columns: {
+    url: ['Source url'],
+    title: ['Source title'],
+    domainRating: ['Domain ascore'],
+    urlRating: ['Page ascore'],
+    anchor: ['Anchor'],
+    targetUrl: ['Target url'],
+    firstSeen: ['First seen'],
+    lastSeen: ['Last seen'],
+    nofollow: ['Nofollow'],
+    sponsored: ['Sponsored'],
+    ugc: ['Ugc'],
+  },
+};
@@ -0,0 +1,236 @@
+// Words and phrases that negate the indicator following them ("no recall", "far from a breakthrough")
+const NEGATORS = [
+  'not', 'no', 'never', 'none', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely',
+  'cannot', 'far from', 'free of', 'free from', 'lack of', 'absence of', 'rather than',
+];
+
+// Negator phrases that do not negate ("not only innovative", "no doubt a breakthrough")
+const NEGATION_EXCEPTIONS = ['not only', 'no doubt', 'never before', 'not just', 'no wonder'];
+
+// Intensifiers and downtoners scale the indicator they precede
+const INTENSIFIERS = {
+  'extremely': 1.5, 'incredibly': 1.5, 'highly': 1.3, 'very': 1.3, 'truly': 1.3, 'deeply': 1.3,
+  'seriously': 1.3, 'really': 1.2, 'so': 1.2, 'particularly': 1.2,
+  'slightly': 0.5, 'marginally': 0.5, 'mildly': 0.6, 'somewhat': 0.6, 'a bit': 0.6,
+  'a little': 0.6, 'fairly': 0.8, 'relatively': 0.8,
+};
+
+// Hedges anywhere in the sentence make an indicator less certain
+const HEDGES = [
+  'may', 'might', 'could', 'alleged', 'allegedly', 'reportedly', 'possibly', 'potentially',
+  'rumored', 'rumoured', 'suspected', 'unconfirmed', 'appears', 'seems', 'claims', 'claimed',
+];
+
+// Words that end a negation scope ("not cheap, but effective")
+const CLAUSE_BREAKS = ['but', 'however', 'although', 'though', 'yet', 'whereas', 'while'];
+
+// Words before an indicator that a negator or intensifier may sit in
+const SCOPE_WINDOW = 4;
+
+// English rules; lexicons for other languages bring their own (see the `rules` of their base pack)
+const ENGLISH_RULES = {
+  negators: NEGATORS,
+  negatorSuffixes: ["n't"],
+  negatorPrefixes: [],
+  negationExceptions: NEGATION_EXCEPTIONS,
+  intensifiers: INTENSIFIERS,
+  hedges: HEDGES,
+  clauseBreaks: CLAUSE_BREAKS,
+};
+
+// Fill in a language's rules; lists it leaves out are empty rather than English
+function resolveRules(rules) {
+  if (!rules) return ENGLISH_RULES;
+  return {
+    negators: rules.negators || [],
+    negatorSuffixes: rules.negatorSuffixes || [],
+    negatorPrefixes: rules.negatorPrefixes || [],
+    negationExceptions: rules.negationExceptions || [],
+    intensifiers: rules.intensifiers || {},
+    hedges: rules.hedges || [],
+    clauseBreaks: rules.clauseBreaks || [],
+  };
+}
+
+// A negated indicator counts for the opposite side at half weight ("not dangerous" is mildly good)
+const NEGATION_WEIGHT = 0.5;
+
+// A hedged indicator counts at half weight
+const HEDGE_WEIGHT = 0.5;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and punctuation with their character offsets
+function tokenize(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*|[.,;:!?]/gu)].map(m => ({
+    word: m[0].toLowerCase().replace(/’/g, "'"),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+const isBoundary = (token, rules) => /^[.,;:!?]$/.test(token.word) || rules.clauseBreaks.includes(token.word);
+const isSentenceEnd = (token) => /^[.!?]$/.test(token.word);
+
+// Phrases from `list` found in a run of words (matched on whole words)
+function phrasesIn(words, list) {
+  const joined = ` ${words.join(' ')} `;
+  return list.filter(phrase => joined.includes(` ${phrase} `));
+}
+
+// Words in the same clause right before position `start`, nearest last
+function scopeBefore(tokens, start, rules) {
+  const words = [];
+  for (let i = tokens.length - 1; i >= 0 && words.length < SCOPE_WINDOW; i--) {
+    if (tokens[i].end > start) continue;
+    if (isBoundary(tokens[i], rules)) break;
+    words.unshift(tokens[i].word);
+  }
+  return words;
+}
+
+// Words of the sentence containing position `start`
+function sentenceAround(tokens, start) {
+  let first = tokens.findIndex(t => t.end > start);
+  if (first === -1) first = tokens.length;
+  let from = first;
+  while (from > 0 && !isSentenceEnd(tokens[from - 1])) from--;
+  let to = first;
+  while (to < tokens.length && !isSentenceEnd(tokens[to])) to++;
+  return tokens.slice(from, to).map(t => t.word);
+}
+
+// Start/end offsets of every match of `term` (whole words/phrases only, accented letters included)
+function termOffsets(text, term) {
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(term)}(?![\\p{L}\\p{N}])`, 'giu');
+  return [...text.matchAll(regex)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+// Negators and intensifiers in the clause before position `start`, hedges in its sentence
+function modifiersAt(tokens, start, rules = ENGLISH_RULES) {
+  const scope = scopeBefore(tokens, start, rules);
+  const negators = phrasesIn(scope, rules.negationExceptions).length > 0
+    ? []
+    : phrasesIn(scope, rules.negators).concat(scope.filter(w =>
+      rules.negatorSuffixes.some(suffix => w.endsWith(suffix)) ||
+      rules.negatorPrefixes.some(prefix => w.startsWith(prefix))));
+  return {
+    negators,
+    modifiers: phrasesIn(scope.slice(-2), Object.keys(rules.intensifiers)),
+    hedges: phrasesIn(sentenceAround(tokens, start), rules.hedges),
+  };
+}
+
+// Find indicator phrases in the text; longer phrases win over the words inside them
+// ("too expensive" is one match, not "too expensive" plus "expensive").
+// Indicators inside a neutralizer phrase ("adverse event" in pharma coverage) do not count.
+function findIndicatorMatches(text, lexicon) {
+  const candidates = [];
+  ['positive', 'negative'].forEach(polarity => {
+    const terms = lexicon[polarity] || {};
+    const entries = Array.isArray(terms) ? terms.map(term => [term, 1]) : Object.entries(terms);
+    entries.forEach(([term, weight]) => {
+      termOffsets(text, term).forEach(({ start, end }) => {
+        candidates.push({ term, polarity, weight, start, end });
+      });
+    });
+  });
+
+  const neutral = (lexicon.neutralizers || []).flatMap(term => termOffsets(text, term));
+
+  candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const taken = [...neutral];
+  candidates.forEach(candidate => {
+    if (!taken.some(t => candidate.start < t.end && candidate.end > t.start)) {
+      taken.push(candidate);
+    }
+  });
+  return taken.filter(match => match.term).sort((a, b) => a.start - b.start);
+}
+
+// Score indicator matches with negation, intensifier and hedge handling.
+// `lexicon` is { positive, negative, neutralizers, rules } where each polarity maps term → weight
+// (a plain list means weight 1) and `rules` holds the language's negators, intensifiers and
+// hedges (English when absent). Counts are weighted sums; negated, intensified and hedged
+// matches are listed so rationales can explain the score.
+function scoreIndicatorMatches(text, lexicon) {
+  const lowered = (text || '').toLowerCase();
+  const tokens = tokenize(lowered);
+  const rules = resolveRules(lexicon.rules);
+
+  const totals = { positive: 0, negative: 0 };
+  const found = { positive: [], negative: [] };
+  const negated = [];
+  const intensified = [];
+  const hedged = [];
+
+  findIndicatorMatches(lowered, lexicon).forEach(match => {
+    const { negators, modifiers, hedges } = modifiersAt(tokens, match.start, rules);
+
+    let polarity = match.polarity;
+    let weight = match.weight;
+    let label = match.term;
+
+    if (negators.length > 0) {
+      polarity = polarity === 'positive' ? 'negative' : 'positive';
+      weight *= NEGATION_WEIGHT;
+      label = `${negators[0]} ${match.term}`;
+      negated.push({ term: match.term, negator: negators[0], polarity: match.polarity, counted: polarity });
+    }
+    if (modifiers.length > 0) {
+      const factor = rules.intensifiers[modifiers[modifiers.length - 1]];
+      weight *= factor;
+      intensified.push({ term: match.term, modifier: modifiers[modifiers.length - 1], factor });
+    }
+    if (hedges.length > 0) {
+      weight *= HEDGE_WEIGHT;
+      hedged.push({ term: match.term, hedge: hedges[0] });
+    }
+
+    totals[polarity] += weight;
+    if (!found[polarity].includes(label)) found[polarity].push(label);
+  });
+
+  const round = (n) => Math.round(n * 10) / 10;
+  return {
+    positiveCount: round(totals.positive),
+    negativeCount: round(totals.negative),
+    positive: found.positive,
+    negative: found.negative,
+    negated,
+    intensified,
+    hedged,
+  };
+}
+
+// Negator and hedge affecting the term at `start` in `text` ({ negator: 'no', hedge: null } for "no recall")
+function findModifiers(text, start, rules = null) {
+  const { negators, hedges } = modifiersAt(tokenize((text || '').toLowerCase()), start, resolveRules(rules));
+  return { negator: negators[0] || null, hedge: hedges[0] || null };
+}
+
+// Rationale note for negated/hedged matches, e.g. `negated: "no recall", "not dangerous"; hedged: lawsuit (alleged)`
+function describeModifiers({ negated = [], hedged = [] } = {}) {
+  const parts = [];
+  if (negated.length > 0) {
+    const terms = [...new Set(negated.map(n => `"${n.negator} ${n.term}"`))];
+    parts.push(`negated: ${terms.slice(0, 3).join(', ')}`);
+  }
+  if (hedged.length > 0) {
+    const terms = [...new Set(hedged.map(h => `${h.term} (${h.hedge})`))];
+    parts.push(`hedged: ${terms.slice(0, 3).join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+module.exports = {
+  NEGATORS,
+  INTENSIFIERS,
+  HEDGES,
+  ENGLISH_RULES,
+  resolveRules,
+  termOffsets,
+  scoreIndicatorMatches,
+  findModifiers,
+  describeModifiers
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+// Sample texts per language (config/languages/<code>.txt), turned into trigram profiles at load
+const LANGUAGES_FOLDER = path.join(__dirname, '..', 'config', 'languages');
+
+// Display names, including languages recognized by their script alone
+const LANGUAGE_NAMES = {
+  en: 'English', es: 'Spanish', fr: 'French', de: 'German', it: 'Italian', pt: 'Portuguese',
+  nl: 'Dutch', pl: 'Polish', sv: 'Swedish', tr: 'Turkish', ru: 'Russian', uk: 'Ukrainian',
+  zh: 'Chinese', ja: 'Japanese', ko: 'Korean', ar: 'Arabic', he: 'Hebrew', th: 'Thai',
+  el: 'Greek', hi: 'Hindi', und: 'Undetermined',
+};
+
+// Non-Latin scripts that identify the language on their own (Cyrillic and Han are refined below)
+const SCRIPTS = [
+  { script: 'Cyrillic', regex: /\p{Script=Cyrillic}/gu, language: 'ru' },
+  { script: 'Han', regex: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu, language: 'zh' },
+  { script: 'Hangul', regex: /\p{Script=Hangul}/gu, language: 'ko' },
+  { script: 'Arabic', regex: /\p{Script=Arabic}/gu, language: 'ar' },
+  { script: 'Hebrew', regex: /\p{Script=Hebrew}/gu, language: 'he' },
+  { script: 'Thai', regex: /\p{Script=Thai}/gu, language: 'th' },
+  { script: 'Greek', regex: /\p{Script=Greek}/gu, language: 'el' },
+  { script: 'Devanagari', regex: /\p{Script=Devanagari}/gu, language: 'hi' },
+];
+
+// Below this many letters there is too little text to tell languages apart
+const MIN_LETTERS = 20;
+
+// Trigrams per vote: long pages are split into chunks and each chunk votes for a language
+const CHUNK_TRIGRAMS = 150;
+
+// Only the start of very long pages is read
+const MAX_TRIGRAMS = 6000;
+
+// Lowercased words padded with spaces, split into character trigrams ("the" → " th", "the", "he ")
+function trigrams(text) {
+  const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  const grams = [];
+  for (const word of words) {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.push(padded.slice(i, i + 3));
+    }
+    if (grams.length >= MAX_TRIGRAMS) break;
+  }
+  return grams;
+}
+
+// Trigram log-probabilities (add-one smoothed) for one language's sample text
+function buildProfile(sample) {
+  const counts = new Map();
+  const grams = trigrams(sample);
+  grams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  const denominator = grams.length + counts.size + 1;
+  const logProbs = new Map();
+  counts.forEach((count, gram) => logProbs.set(gram, Math.log((count + 1) / denominator)));
+  return { logProbs, unseen: Math.log(1 / denominator) };
+}
+
+// Read every sample in the languages folder: { code: profile }
+function loadLanguageProfiles(folder = LANGUAGES_FOLDER) {
+  if (!fs.existsSync(folder)) {
+    throw new Error(`Language samples not found: ${folder}`);
+  }
+  const profiles = {};
+  fs.readdirSync(folder).filter(file => file.endsWith('.txt')).sort().forEach(file => {
+    profiles[path.basename(file, '.txt')] = buildProfile(fs.readFileSync(path.join(folder, file), 'utf8'));
+  });
+  if (Object.keys(profiles).length === 0) {
+    throw new Error(`No language samples (<code>.txt) in ${folder}`);
+  }
+  return profiles;
+}
+
+// Offline language identifier. `detect(text)` returns { language, name, confidence, script }:
+// non-Latin scripts decide by script, Latin text by character trigram likelihood. Confidence is
+// the share of the text whose chunks agree with the verdict, scaled down for short texts.
+function createLanguageDetector({ folder = LANGUAGES_FOLDER } = {}) {
+  const profiles = loadLanguageProfiles(folder);
+  const codes = Object.keys(profiles);
+
+  const bestLanguage = (grams) => {
+    let best = null;
+    let bestScore = -Infinity;
+    codes.forEach(code => {
+      const { logProbs, unseen } = profiles[code];
+      const score = grams.reduce((sum, gram) => sum + (logProbs.get(gram) ?? unseen), 0);
+      if (score > bestScore) {
+        best = code;
+        bestScore = score;
+      }
+    });
+    return best;
+  };
+
+  const result = (language, confidence, script) => ({
+    language,
+    name: LANGUAGE_NAMES[language] || language,
+    confidence: Math.round(confidence * 100) / 100,
+    script,
+  });
+
+  function detect(text) {
+    const letters = ((text || '').match(/\p{L}/gu) || []).length;
+    if (letters < MIN_LETTERS) return result('und', 0, null);
+
+    // A page mostly written in a non-Latin script is identified by that script
+    for (const { script, regex, language } of SCRIPTS) {
+      const count = (text.match(regex) || []).length;
+      if (count / letters <= 0.5) continue;
+      let code = language;
+      if (script === 'Cyrillic' && /[іїєґ]/iu.test(text)) code = 'uk';
+      if (script === 'Han' && ((text.match(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu) || []).length / count) > 0.05) code = 'ja';
+      return result(code, count / letters, script);
+    }
+
+    const grams = trigrams(text);
+    const language = bestLanguage(grams);
+    let agreeing = 0;
+    let chunks = 0;
+    for (let i = 0; i < grams.length; i += CHUNK_TRIGRAMS) {
+      const chunk = grams.slice(i, i + CHUNK_TRIGRAMS);
+      const weight = chunk.length / CHUNK_TRIGRAMS;
+      chunks += weight;
+      if (bestLanguage(chunk) === language) agreeing += weight;
+    }
+    const confidence = (agreeing / chunks) * Math.min(1, grams.length / CHUNK_TRIGRAMS);
+    return result(language, confidence, 'Latin');
+  }
+
+  return { languages: codes, detect };
+}
+
+// "--languages=en,es" → ['en', 'es']; 'all' (or empty) turns the filter off
+function parseLanguageList(value) {
+  if (!value || value.trim().toLowerCase() === 'all') return null;
+  return value.split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+}
+
+// "Spanish (0.93)" for logs and report rows
+function formatLanguage(language) {
+  if (!language) return '';
+  return `${language.name} (${language.confidence.toFixed(2)})`;
+}
+
+// "English 12, Spanish 3" from { en: 12, es: 3 }, most common first
+function formatLanguageCounts(counts) {
+  return Object.entries(counts || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([code, count]) => `${LANGUAGE_NAMES[code] || code} ${count}`)
+    .join(', ');
+}
+
+// Page count, average score and classification spread per page language, most common first.
+// `lexicon` is the lexicon language the pages were scored with (the default for languages without one).
+function summarizeLanguages(results, classify) {
+  const byLanguage = new Map();
+  results.filter(r => r.sentiment).forEach(result => {
+    const language = result.language ? result.language.language : 'und';
+    if (!byLanguage.has(language)) {
+      byLanguage.set(language, {
+        language,
+        name: LANGUAGE_NAMES[language] || language,
+        lexicon: result.sentiment.language || null,
+        pages: 0,
+        total: 0,
+        distribution: { positive: 0, neutral: 0, negative: 0, mixed: 0 },
+      });
+    }
+    const summary = byLanguage.get(language);
+    summary.pages++;
+    summary.total += result.sentiment.score;
+    summary.distribution[result.classification || 'neutral']++;
+  });
+
+  return [...byLanguage.values()]
+    .sort((a, b) => b.pages - a.pages)
+    .map(({ total, ...summary }) => {
+      const score = Math.round(total / summary.pages * 100) / 100;
+      return { ...summary, score, classification: classify(score) };
+    });
+}
+
+module.exports = {
+  LANGUAGES_FOLDER,
+  LANGUAGE_NAMES,
+  createLanguageDetector,
+  parseLanguageList,
+  formatLanguage,
+  formatLanguageCounts,
+  summarizeLanguages
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lexicon packs live in config/lexicons/<name>.json; other languages in config/lexicons/<language>/<name>.json
+const LEXICONS_FOLDER = path.join(__dirname, '..', 'config', 'lexicons');
+
+// Applied under every industry pack
+const BASE_PACK = 'general';
+
+// Language of the packs at the top of the lexicons folder
+const DEFAULT_LANGUAGE = 'en';
+
+// Read one lexicon pack: { name, language, version, description, rules, positive, negative, neutralizers, afinn }
+function loadLexiconPack(name, folder = LEXICONS_FOLDER) {
+  const file = path.join(folder, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Lexicon pack "${name}" not found in ${folder}`);
+  }
+  const pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    name: pack.name || name,
+    language: pack.language || DEFAULT_LANGUAGE,
+    version: pack.version || '0.0.0',
+    description: pack.description || '',
+    rules: pack.rules || null, // Negators, intensifiers, hedges and clause breaks for the pack's language
+    positive: pack.positive || {},
+    negative: pack.negative || {},
+    neutralizers: pack.neutralizers || [],
+    afinn: pack.afinn || {}, // AFINN word scores to override (-5..5; 0 makes a word neutral)
+  };
+}
+
+// Names of every available pack
+function listLexiconPacks(folder = LEXICONS_FOLDER) {
+  if (!fs.existsSync(folder)) return [];
+  return fs.readdirSync(folder)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''));
+}
+
+// Languages with a lexicon: the default plus every subfolder holding a base pack
+function listLexiconLanguages(folder = LEXICONS_FOLDER) {
+  if (!fs.existsSync(folder)) return [DEFAULT_LANGUAGE];
+  const languages = fs.readdirSync(folder, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(folder, entry.name, `${BASE_PACK}.json`)))
+    .map(entry => entry.name)
+    .sort();
+  return [DEFAULT_LANGUAGE, ...languages];
+}
+
+// Inflected forms of the single-word terms in a polarity or AFINN map, from the language's
+// `inflections` rule (ending → replacement endings, the longest matching ending wins):
+// "peligroso" → "peligrosa", "peligrosos", "peligrosas". Forms already listed keep their own
+// entry, and `inflectionExceptions` are never generated ("caro" must not produce "cara").
+function addInflections(terms, rules, listed) {
+  const inflections = (rules && rules.inflections) || {};
+  const exceptions = new Set((rules && rules.inflectionExceptions) || []);
+  const endings = Object.keys(inflections).sort((a, b) => b.length - a.length);
+  if (endings.length === 0) return;
+
+  Object.entries(terms).forEach(([term, value]) => {
+    if (/\s/.test(term)) return;
+    const ending = endings.find(candidate => term.length > candidate.length && term.endsWith(candidate));
+    if (ending === undefined) return;
+    const stem = term.slice(0, term.length - ending.length);
+    inflections[ending].map(replacement => stem + replacement).forEach(form => {
+      if (!exceptions.has(form) && !listed(form)) terms[form] = value;
+    });
+  });
+}
+
+// Merge the base pack and the requested industry packs into one lexicon.
+// Later packs override earlier term weights; a term listed by one polarity is removed from the other.
+// For another language, industry packs that have no translation yet are left out.
+function buildLexicon(packNames = [], folder = LEXICONS_FOLDER, language = DEFAULT_LANGUAGE) {
+  const languageFolder = language === DEFAULT_LANGUAGE ? folder : path.join(folder, language);
+  const names = [...new Set([BASE_PACK, ...packNames.filter(name => name && name !== BASE_PACK)])]
+    .filter(name => language === DEFAULT_LANGUAGE || name === BASE_PACK || fs.existsSync(path.join(languageFolder, `${name}.json`)));
+  const packs = names.map(name => loadLexiconPack(name, languageFolder));
+
+  const lexicon = { language, packs: [], rules: null, positive: {}, negative: {}, neutralizers: [], afinn: {} };
+  packs.forEach(pack => {
+    lexicon.packs.push({ name: pack.name, language: pack.language, version: pack.version });
+    if (pack.rules) lexicon.rules = { ...lexicon.rules, ...pack.rules };
+    Object.entries(pack.positive).forEach(([term, weight]) => {
+      delete lexicon.negative[term.toLowerCase()];
+      lexicon.positive[term.toLowerCase()] = weight;
+    });
+    Object.entries(pack.negative).forEach(([term, weight]) => {
+      delete lexicon.positive[term.toLowerCase()];
+      lexicon.negative[term.toLowerCase()] = weight;
+    });
+    pack.neutralizers.forEach(term => {
+      if (!lexicon.neutralizers.includes(term.toLowerCase())) lexicon.neutralizers.push(term.toLowerCase());
+    });
+    Object.entries(pack.afinn).forEach(([word, score]) => {
+      lexicon.afinn[word.toLowerCase()] = score;
+    });
+  });
+
+  // Declined and plural forms, so "hervorragendes" and "peligrosos" match like their base forms
+  const isIndicator = (term) => term in lexicon.positive || term in lexicon.negative;
+  addInflections(lexicon.positive, lexicon.rules, isIndicator);
+  addInflections(lexicon.negative, lexicon.rules, isIndicator);
+  addInflections(lexicon.afinn, lexicon.rules, word => word in lexicon.afinn);
+  return lexicon;
+}
+
+// "general@1.0.0, pharma@1.0.0, es/general@1.0.0" for report headers
+function formatLexiconPacks(packs) {
+  return (packs || []).map(pack => {
+    const language = pack.language && pack.language !== DEFAULT_LANGUAGE ? `${pack.language}/` : '';
+    return `${language}${pack.name}@${pack.version}`;
+  }).join(', ');
+}
+
+module.exports = {
+  LEXICONS_FOLDER,
+  BASE_PACK,
+  DEFAULT_LANGUAGE,
+  loadLexiconPack,
+  listLexiconPacks,
+  listLexiconLanguages,
+  buildLexicon,
+  formatLexiconPacks
+};
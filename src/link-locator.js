@@ -0,0 +1,105 @@
+const cheerio = require('cheerio');
+
+// Block-level elements that count as the "paragraph" enclosing a link
+const CONTEXT_SELECTORS = 'p, li, td, blockquote, figcaption, h1, h2, h3, h4, h5, h6, div';
+
+// Context longer than this is trimmed around the anchor text
+const MAX_CONTEXT_LENGTH = 600;
+
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Hostname without "www." (null for unparseable URLs)
+function bareHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+// Target domain for a backlink: the export's target URL, else the configured client domain
+function resolveTargetDomain(backlink, fallbackDomain) {
+  const fromExport = backlink && backlink.targetUrl ? bareHostname(backlink.targetUrl) : null;
+  if (fromExport) return fromExport;
+  if (!fallbackDomain) return null;
+  return bareHostname(/^https?:\/\//i.test(fallbackDomain) ? fallbackDomain : `https://${fallbackDomain}`);
+}
+
+// Trim a long paragraph to a window around the anchor text
+function trimContext(context, anchorText) {
+  if (context.length <= MAX_CONTEXT_LENGTH) return context;
+  const position = anchorText ? context.indexOf(anchorText) : -1;
+  const center = position >= 0 ? position + anchorText.length / 2 : context.length / 2;
+  const start = Math.max(0, Math.floor(center - MAX_CONTEXT_LENGTH / 2));
+  return `${start > 0 ? '...' : ''}${context.slice(start, start + MAX_CONTEXT_LENGTH).trim()}...`;
+}
+
+// Find <a> elements on the page that link to the target domain (or its subdomains).
+// Each anchor records its text, rel flags and the enclosing paragraph.
+function findBacklinkAnchors(html, pageUrl, targetDomain) {
+  if (!targetDomain) return [];
+
+  const $ = cheerio.load(html);
+  $('script, style, noscript, template').remove();
+
+  const anchors = [];
+  $('a[href]').each((i, el) => {
+    const $a = $(el);
+    let href;
+    try {
+      href = new URL($a.attr('href'), pageUrl).href;
+    } catch {
+      return;
+    }
+
+    const host = bareHostname(href);
+    if (!host || (host !== targetDomain && !host.endsWith(`.${targetDomain}`))) return;
+
+    const rel = ($a.attr('rel') || '').toLowerCase().split(/\s+/);
+    const anchorText = clean($a.text()) || clean($a.find('img').attr('alt')) || '';
+
+    // Smallest enclosing block with more text than the anchor itself
+    let context = '';
+    $a.parents(CONTEXT_SELECTORS).each((j, parent) => {
+      const text = clean($(parent).text());
+      if (text.length > anchorText.length) {
+        context = text;
+        return false;
+      }
+      return undefined;
+    });
+
+    anchors.push({
+      href,
+      anchorText,
+      nofollow: rel.includes('nofollow'),
+      sponsored: rel.includes('sponsored'),
+      ugc: rel.includes('ugc'),
+      context: trimContext(context || anchorText, anchorText),
+    });
+  });
+
+  return anchors;
+}
+
+// One-line link status for report tables
+function formatLinkStatus(linkCheck) {
+  if (!linkCheck) return '';
+  if (!linkCheck.live) {
+    return `✗ No link to ${linkCheck.targetDomain} on page (link lost)`;
+  }
+
+  const count = linkCheck.anchors.length;
+  const flags = ['nofollow', 'sponsored', 'ugc'].filter(flag => linkCheck.anchors.some(a => a[flag]));
+  const parts = [`✓ Live (${count} link${count > 1 ? 's' : ''}${flags.length > 0 ? `, ${flags.join('/')}` : ''})`];
+  if (linkCheck.contextSentiment) {
+    parts.push(`link context: ${linkCheck.contextSentiment.classification}`);
+  }
+  return parts.join(' · ');
+}
+
+module.exports = {
+  resolveTargetDomain,
+  findBacklinkAnchors,
+  formatLinkStatus
+};
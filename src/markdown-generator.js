@@ -1,4 +1,19 @@
 const fs = require('fs');
+const { formatLinkMetrics } = require('./backlink-record');
+const { getMetricLabels } = require('./importers');
+const { ERROR_TYPES } = require('./fetch-errors');
+const { describeMentionRegions } = require('./content-extractor');
+const { formatMentionConfidence } = require('./disambiguation');
+const { formatLexiconPacks } = require('./lexicon');
+const { formatEngineScores } = require('./hybrid-scorer');
+const { formatModel } = require('./text-classifier');
+const { LANGUAGE_NAMES, formatLanguage, formatLanguageCounts } = require('./language-detector');
+const { formatMetadata } = require('./page-metadata');
+const { formatRatings } = require('./structured-reviews');
+const { formatCollapsed } = require('./url-normalizer');
+const { CLASSIFICATION_LABELS, formatMentionDistribution } = require('./mention-sentiment');
+const { RISK_LEVEL_LABELS, formatRisks } = require('./risk-detector');
+const { formatLinkStatus } = require('./link-locator');
 
 function generateMarkdownReport(data, outputPath) {
   const { searchTerm, timestamp, results, summary, insights } = data;
@@ -11,6 +26,7 @@ function generateMarkdownReport(data, outputPath) {
   let positive = 0;
   let negative = 0;
   let neutral = 0;
+  let mixed = 0;
   
   if (successful.length > 0) {
     avgScore = successful.reduce((sum, r) => sum + r.sentiment.score, 0) / successful.length;
@@ -18,11 +34,13 @@ function generateMarkdownReport(data, outputPath) {
     positive = successful.filter(r => r.classification === 'positive').length;
     negative = successful.filter(r => r.classification === 'negative').length;
     neutral = successful.filter(r => r.classification === 'neutral').length;
+    mixed = successful.filter(r => r.classification === 'mixed').length;
   }
   
   const positivePercent = successful.length > 0 ? (positive / successful.length * 100).toFixed(1) : 0;
   const neutralPercent = successful.length > 0 ? (neutral / successful.length * 100).toFixed(1) : 0;
   const negativePercent = successful.length > 0 ? (negative / successful.length * 100).toFixed(1) : 0;
+  const mixedPercent = successful.length > 0 ? (mixed / successful.length * 100).toFixed(1) : 0;
   
   // Generate markdown content
   const overallSentiment = avgScore > 0 ? 'positive' : avgScore < 0 ? 'negative' : 'neutral';
@@ -30,13 +48,13 @@ function generateMarkdownReport(data, outputPath) {
   let markdown = `# Backlink Sentiment Analysis Report
 
 **Brand:** ${searchTerm}  
-**Generated:** ${new Date(timestamp).toLocaleString()}
+**Generated:** ${new Date(timestamp).toLocaleString()}${data.lexicons ? `  \n**Lexicons:** ${[data.lexicons, ...Object.values(data.languageLexicons || {})].map(formatLexiconPacks).join('; ')}` : ''}${data.model ? `  \n**Model:** ${formatModel(data.model)} (${data.engine} engine)` : ''}
 
 ---
-
+${generateCriticalRisksMarkdown(results)}
 ## 📊 Overview
 
-**${searchTerm}** analysis of ${results.length} pages shows **${overallSentiment}** sentiment (score: ${avgScore.toFixed(2)}). ${positive} positive (${positivePercent}%), ${neutral} neutral (${neutralPercent}%), ${negative} negative (${negativePercent}%). ${summary.withMentions} of ${summary.successful} pages mention the brand.
+**${searchTerm}** analysis of ${results.length} pages shows **${overallSentiment}** sentiment (score: ${avgScore.toFixed(2)}). ${positive} positive (${positivePercent}%), ${neutral} neutral (${neutralPercent}%), ${negative} negative (${negativePercent}%)${mixed > 0 ? `, ${mixed} mixed (${mixedPercent}%)` : ''}. ${summary.withMentions} of ${summary.successful} pages mention the brand.
 
 **Action:** ${negative > 0 ? `Address ${negative} negative page${negative > 1 ? 's' : ''} immediately.` : ''} ${neutral > 0 ? `Enhance ${neutral} neutral page${neutral > 1 ? 's' : ''}.` : ''} ${positive > 0 ? `Leverage ${positive} positive mention${positive > 1 ? 's' : ''}.` : ''}
 
@@ -47,13 +65,30 @@ function generateMarkdownReport(data, outputPath) {
 ${insights ? generateInsightsMarkdown(insights, searchTerm, summary) : ''}
 
 ---
+${data.aspects && data.aspects.length > 0 ? `
+## 🧩 Sentiment by Aspect
+
+${generateAspectsMarkdown(data.aspects)}
+---
+` : ''}${data.languageBreakdown && data.languageBreakdown.length > 1 ? `
+## 🌐 Sentiment by Language
 
+${generateLanguageBreakdownMarkdown(data.languageBreakdown)}
+---
+` : ''}
 ## Summary Statistics
 
 - **Total URLs Processed:** ${summary.total}
 - **Successfully Analyzed:** ${summary.successful}
 - **Pages with Brand Mentions:** ${summary.withMentions}
+- **Pages with Ambiguous Mentions:** ${summary.withAmbiguousMentions || 0}${summary.ambiguousMode === 'exclude' ? ' (excluded from counts)' : ' (flagged)'}
+- **Analyst Overrides:** ${summary.overridden || 0} applied${summary.unverifiedOverrides > 0 ? ` (${summary.unverifiedOverrides} unverified: no contentHash)` : ''}${summary.staleOverrides > 0 ? `, ${summary.staleOverrides} stale (page content changed, re-review needed)` : ''}
 - **Errors:** ${summary.errors}
+- **Backlinks Not Found on Page:** ${summary.linksMissing || 0}
+- **Blocked by robots.txt:** ${summary.blockedByRobots || 0}
+- **Skipped (other languages):** ${summary.otherLanguage || 0}${summary.languages && Object.keys(summary.languages).length > 0 ? ` (page languages: ${formatLanguageCounts(summary.languages)})` : ''}${summary.publishedAfter ? `\n- **Skipped (published before ${summary.publishedAfter}):** ${summary.outsideDateRange || 0}` : ''}${summary.undated > 0 ? `\n- **Analyzed Pages Without a Publish Date:** ${summary.undated}` : ''}
+- **Duplicate Rows Collapsed:** ${summary.collapsedRows || 0}${summary.collapsedRows > 0 ? ` (${summary.sourceRows} source rows → ${summary.uniquePages} pages${summary.duplicates > 0 ? `, ${summary.duplicates} merged after fetching` : ''})` : ''}
+- **Pages with Brand Ratings:** ${summary.rated || 0}${summary.averageStars ? ` (average ★ ${summary.averageStars.toFixed(1)}/5)` : ''}
 - **Average Sentiment Score:** ${avgScore.toFixed(2)}
 - **Average Comparative Score:** ${avgComparative.toFixed(4)}
 
@@ -61,14 +96,14 @@ ${insights ? generateInsightsMarkdown(insights, searchTerm, summary) : ''}
 
 - **Favorable:** ${positive} URLs (${positivePercent}%)
 - **Neutral:** ${neutral} URLs (${neutralPercent}%)
-- **Unfavorable:** ${negative} URLs (${negativePercent}%)
+- **Unfavorable:** ${negative} URLs (${negativePercent}%)${mixed > 0 ? `\n- **Mixed:** ${mixed} URLs (${mixedPercent}%)` : ''}
 
 ---
 
 ## Detailed Results
 
-| URL | Sentiment | Brand Mention | Rationale | Improvement Suggestions | Excerpt |
-|-----|-----------|---------------|-----------|------------------------|---------|
+| URL | Sentiment | Brand Mention | Link Metrics | Anchor | Rationale | Improvement Suggestions | Excerpt |
+|-----|-----------|---------------|--------------|--------|-----------|------------------------|---------|
 `;
   
   // Add each result as a table row (only include pages with brand mentions)
@@ -79,20 +114,48 @@ ${insights ? generateInsightsMarkdown(insights, searchTerm, summary) : ''}
     }
     
     // Format URL as HTML link to open in new tab
-    const url = `<a href="${result.url}" target="_blank">${escapeMarkdown(result.url)}</a>`;
+    const title = result.metadata && result.metadata.title ? `<br>**${escapeMarkdown(escapeHtml(result.metadata.title))}**` : '';
+    const published = formatMetadata(result.metadata) ? `<br>📅 ${escapeMarkdown(escapeHtml(formatMetadata(result.metadata)))}` : '';
+    const url = `<a href="${result.url}" target="_blank">${escapeMarkdown(result.url)}</a>${title}${published}${result.language ? `<br>🌐 ${formatLanguage(result.language)}` : ''}${formatCollapsed(result.collapsed) ? `<br>⧉ ${formatCollapsed(result.collapsed)}` : ''}`;
     const sentiment = result.classification 
-      ? (result.classification === 'negative' ? '🔴 Unfavorable' : result.classification === 'neutral' ? '🟡 Neutral' : '🟢 Favorable')
+      ? (CLASSIFICATION_LABELS[result.classification] || CLASSIFICATION_LABELS.neutral)
       : '-';
+    const engineScores = result.sentiment && result.sentiment.engines
+      ? `<br>${result.sentiment.score} (${formatEngineScores(result.sentiment.engines)})<br>confidence ${result.sentiment.confidence.toFixed(2)}`
+      : '';
+    const override = result.override
+      ? `<br>${result.override.status === 'stale' ? `⚠ Override stale (was ${result.override.classification})` : `✎ Analyst override (computed ${result.override.computedClassification})${result.override.verified ? '' : ' · unverified'}`}`
+      : '';
+    const risk = result.riskLevel && result.riskLevel !== 'none'
+      ? `<br>Risk: ${RISK_LEVEL_LABELS[result.riskLevel]} (${formatRisks(result.risks)})`
+      : '';
+    const ratings = result.ratings
+      ? `<br>${formatRatings(result.ratings)} (${escapeMarkdown(escapeHtml(result.ratings.subjects.join(', ')))})`
+      : '';
     
     // Brand mention with count
     let brandMention = 'No';
     if (result.mentionsBrand && result.mentionCount > 0) {
       brandMention = `Yes (${result.mentionCount}x)`;
+      if (result.mentionRegions) {
+        brandMention += `: ${describeMentionRegions(result.mentionRegions)}`;
+      }
+      if (result.mentionConfidence !== null && result.mentionConfidence !== undefined) {
+        brandMention += ` (${formatMentionConfidence(result, summary.ambiguousMode)})`;
+      }
+      if (result.sentiment && result.sentiment.distribution) {
+        brandMention += `<br>${formatMentionDistribution(result.sentiment.distribution)}`;
+      }
     } else if (result.mentionsBrand) {
       brandMention = 'Yes';
     }
     
-    const rationale = result.rationale ? escapeMarkdown(result.rationale) : '-';
+    const metrics = [
+      formatLinkMetrics(result.backlink, getMetricLabels(result.backlink && result.backlink.source)),
+      formatLinkStatus(result.linkCheck)
+    ].filter(Boolean).join('<br>') || '-';
+    const anchor = result.backlink && result.backlink.anchor ? escapeMarkdown(escapeHtml(result.backlink.anchor)) : '-';
+    const rationale = result.rationale ? escapeMarkdown(escapeHtml(result.rationale)) : '-';
     
     // Format suggestions
     let suggestions = '-';
@@ -110,21 +173,101 @@ ${insights ? generateInsightsMarkdown(insights, searchTerm, summary) : ''}
         current.length > longest.length ? current : longest
       );
       // Clean it up and show brief context (up to 150 chars for table)
-      const cleanExcerpt = escapeMarkdown(bestExcerpt.substring(0, 150).trim());
+      const cleanExcerpt = escapeMarkdown(escapeHtml(bestExcerpt.substring(0, 150).trim()));
       excerpt = `_"${cleanExcerpt}${bestExcerpt.length > 150 ? '...' : ''}"_`;
     }
     
-    markdown += `| ${url} | ${sentiment} | ${brandMention} | ${rationale} | ${suggestions} | ${excerpt} |\n`;
+    markdown += `| ${url} | ${sentiment}${override}${ratings}${engineScores}${risk} | ${brandMention} | ${metrics} | ${anchor} | ${rationale} | ${suggestions} | ${excerpt} |\n`;
   });
   
+  // Each mention scored on its own sentence
+  const withMentionScores = results.filter(r => r.status === 'success' && r.mentionsBrand &&
+    r.sentiment && r.sentiment.mentions && r.sentiment.mentions.length > 0);
+  if (withMentionScores.length > 0) {
+    markdown += `\n---\n\n## Per-Mention Breakdown\n`;
+    withMentionScores.forEach(result => {
+      markdown += `\n### ${result.url}\n\n`;
+      markdown += `${CLASSIFICATION_LABELS[result.classification]} · ${formatMentionDistribution(result.sentiment.distribution)} · confidence ${result.sentiment.confidence.toFixed(2)}\n\n`;
+      result.sentiment.mentions.slice(0, 10).forEach(m => {
+        markdown += `- ${CLASSIFICATION_LABELS[m.classification]} (${m.score}, ${m.region === 'main' ? 'article' : m.region}) **${escapeHtml(m.text)}**: "${escapeHtml(m.sentence.replace(/\s+/g, ' '))}"\n`;
+      });
+      if (result.sentiment.mentions.length > 10) {
+        markdown += `- ... and ${result.sentiment.mentions.length - 10} more\n`;
+      }
+    });
+  }
+  
+  // Failed fetches by error type (dead backlinks are lost links worth reclaiming)
+  const failed = results.filter(r => r.status === 'error');
+  if (failed.length > 0) {
+    markdown += `\n---\n\n## Fetch Errors by Type (${failed.length})\n\n`;
+    markdown += `| Error Type | Count | URLs |\n|------------|-------|------|\n`;
+    const byType = {};
+    failed.forEach(r => {
+      const type = r.errorType || 'unknown';
+      if (!byType[type]) byType[type] = [];
+      byType[type].push(r);
+    });
+    Object.entries(byType)
+      .sort((a, b) => (a[0] === 'dead-link' ? -1 : b[0] === 'dead-link' ? 1 : b[1].length - a[1].length))
+      .forEach(([type, typeResults]) => {
+        const urls = typeResults.map(r => `${escapeMarkdown(r.url)}${r.httpStatus ? ` (HTTP ${r.httpStatus})` : ''}`).join('<br>');
+        markdown += `| ${ERROR_TYPES[type] || type} | ${typeResults.length} | ${urls} |\n`;
+      });
+  }
+  
+  // Pages not fetched because robots.txt disallows our bot
+  const blocked = results.filter(r => r.status === 'blocked-by-robots');
+  if (blocked.length > 0) {
+    markdown += `\n---\n\n## Skipped by robots.txt (${blocked.length})\n\n`;
+    markdown += `These backlink pages disallow our crawler in robots.txt, or ask for a Crawl-delay above the limit, and were not fetched or analyzed.\n\n`;
+    blocked.forEach(result => {
+      markdown += `- ${result.url} (${result.error})\n`;
+    });
+  }
+  
+  // Pages fetched but detected as a language the run does not analyze
+  const otherLanguage = results.filter(r => r.status === 'other-language');
+  if (otherLanguage.length > 0) {
+    markdown += `\n---\n\n## Skipped: Other Languages (${otherLanguage.length})\n\n`;
+    markdown += `These pages were detected as a language this run does not analyze (see \`--languages\`).\n\n`;
+    otherLanguage.forEach(result => {
+      markdown += `- ${result.url} (${formatLanguage(result.language)})\n`;
+    });
+  }
+
+  // Pages fetched but outside the recency filter's date range
+  const outsideDateRange = results.filter(r => r.status === 'outside-date-range');
+  if (outsideDateRange.length > 0) {
+    markdown += `\n---\n\n## Skipped: Outside Date Range (${outsideDateRange.length})\n\n`;
+    markdown += `These pages were published before ${summary.publishedAfter} or have no publish date (see \`--max-age\`, \`--published-after\` and \`--undated\`).\n\n`;
+    outsideDateRange.forEach(result => {
+      markdown += `- ${result.url} (${result.error})\n`;
+    });
+  }
+
+  // Pages that several backlink rows collapsed into (URL variants, redirects, rel=canonical)
+  const collapsed = results.filter(r => r.status !== 'duplicate' && r.collapsed && r.collapsed.rows > 1);
+  if (collapsed.length > 0) {
+    markdown += `\n---\n\n## Duplicate URLs Collapsed (${collapsed.length})\n\n`;
+    markdown += `These pages were analyzed once for several backlink rows: URL variants are grouped before fetching, and pages that redirect to or name as canonical a page already analyzed are merged after fetching (see \`config/url-rules.json\`).\n\n`;
+    collapsed.forEach(result => {
+      markdown += `- ${result.url}: ${formatCollapsed(result.collapsed)}\n`;
+      result.collapsed.variants.forEach(variant => {
+        markdown += `  - ${variant}\n`;
+      });
+    });
+  }
+  
   markdown += `\n---
 
 ## Legend
 
 **Sentiment:**
-- \`favorable\` - Favorable sentiment (score > 0)
-- \`neutral\` - Neutral sentiment (score = 0)
-- \`unfavorable\` - Unfavorable sentiment (score < 0)
+- \`favorable\` - Favorable sentiment (combined score ≥ 0.2)
+- \`neutral\` - Neutral sentiment (between -0.15 and 0.2)
+- \`unfavorable\` - Unfavorable sentiment (combined score ≤ -0.15)
+- \`mixed\` - Strong favorable and unfavorable mentions on the same page
 
 ---
 
@@ -156,6 +299,68 @@ function generateInsightsMarkdown(insights, searchTerm, summary) {
   return markdown;
 }
 
+// Critical-risk pages with the sentence that raised each risk (empty when there are none)
+function generateCriticalRisksMarkdown(results) {
+  const critical = results.filter(r => r.riskLevel === 'critical');
+  const high = results.filter(r => r.riskLevel === 'high');
+  if (critical.length === 0 && high.length === 0) return '';
+  
+  let markdown = `\n## 🚨 Critical Risks (${critical.length})\n\n`;
+  if (critical.length === 0) {
+    markdown += 'No critical risks found.\n';
+  }
+  critical.forEach(result => {
+    const top = result.risks.filter(risk => risk.severity === 'critical');
+    markdown += `- ${result.url} (${formatRisks(top)}): _"${escapeMarkdown(escapeHtml(truncate(top[0].sentence, 200)))}"_\n`;
+  });
+  if (high.length > 0) {
+    markdown += `\n${high.length} more page${high.length > 1 ? 's' : ''} with high-severity risks ${high.length > 1 ? 'are' : 'is'} flagged in the results table.\n`;
+  }
+  return `${markdown}\n---\n`;
+}
+
+// Aspect table plus the strongest favorable/unfavorable excerpts per aspect
+function generateAspectsMarkdown(aspects) {
+  let markdown = '| Aspect | Pages | Sentences | Avg Score | Sentiment | Distribution |\n';
+  markdown += '|--------|-------|-----------|-----------|-----------|--------------|\n';
+  aspects.forEach(aspect => {
+    markdown += `| ${aspect.label} | ${aspect.pages} | ${aspect.sentences} | ${aspect.score.toFixed(2)} | ${CLASSIFICATION_LABELS[aspect.classification]} | ${aspect.distribution.positive} favorable, ${aspect.distribution.neutral} neutral, ${aspect.distribution.negative} unfavorable |\n`;
+  });
+  markdown += '\n';
+  
+  aspects.forEach(aspect => {
+    const examples = [
+      ...aspect.examples.positive.map(e => ({ ...e, label: 'favorable' })),
+      ...aspect.examples.negative.map(e => ({ ...e, label: 'unfavorable' })),
+    ];
+    if (examples.length === 0) return;
+    markdown += `**${aspect.label}:**\n`;
+    examples.forEach(e => {
+      markdown += `- ${e.label} (${e.score}): "${escapeMarkdown(escapeHtml(truncate(e.sentence, 200)))}" ([source](${e.url}))\n`;
+    });
+    markdown += '\n';
+  });
+  
+  return markdown;
+}
+
+// Page count, average score and classification spread per detected page language
+function generateLanguageBreakdownMarkdown(languages) {
+  let markdown = '| Language | Pages | Avg Score | Sentiment | Distribution | Lexicon |\n';
+  markdown += '|----------|-------|-----------|-----------|--------------|---------|\n';
+  languages.forEach(language => {
+    const mixed = language.distribution.mixed > 0 ? `, ${language.distribution.mixed} mixed` : '';
+    markdown += `| ${language.name} | ${language.pages} | ${language.score.toFixed(2)} | ${CLASSIFICATION_LABELS[language.classification]} | ${language.distribution.positive} favorable, ${language.distribution.neutral} neutral, ${language.distribution.negative} unfavorable${mixed} | ${LANGUAGE_NAMES[language.lexicon] || language.lexicon || ''} |\n`;
+  });
+  return markdown;
+}
+
+// The table cells mix Markdown with inline HTML (<a>, <br>), so export- and page-controlled
+// text is HTML-escaped before it goes in
+function escapeHtml(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 // Helper function to escape markdown special characters
 function escapeMarkdown(text) {
   if (!text) return '';
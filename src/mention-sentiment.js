@@ -0,0 +1,78 @@
+// Report labels per page classification
+const CLASSIFICATION_LABELS = {
+  positive: '🟢 Favorable',
+  neutral: '🟡 Neutral',
+  negative: '🔴 Unfavorable',
+  mixed: '🟠 Mixed',
+};
+
+// Mention scores at or beyond ±this count as a strong signal
+const STRONG_SIGNAL = 0.4;
+
+// The weaker side must hold at least this share of the stronger side's mentions for a page to be mixed
+const MIXED_BALANCE = 0.34;
+
+// Evidence items (indicator matches, AFINN words, mentions) at which confidence reaches ~63%
+const EVIDENCE_SCALE = 4;
+
+// The sentence containing position `index` (falls back to a window when the text has no punctuation)
+function sentenceAt(text, index) {
+  for (const match of text.matchAll(/[^.!?]+[.!?]+/g)) {
+    if (index >= match.index && index < match.index + match[0].length) {
+      return match[0].trim();
+    }
+  }
+  return text.slice(Math.max(0, index - 150), index + 150).trim();
+}
+
+// Page-level view of per-mention scores: the distribution of mention classifications,
+// a `mixed` class when strong positive and negative mentions conflict, and a confidence
+// that grows with the amount of evidence and how much the mentions agree.
+function summarizeMentionSentiment(mentionScores, pageClassification, evidence) {
+  const distribution = { positive: 0, neutral: 0, negative: 0 };
+  mentionScores.forEach(m => { distribution[m.classification]++; });
+
+  const strongPositive = mentionScores.filter(m => m.score >= STRONG_SIGNAL).length;
+  const strongNegative = mentionScores.filter(m => m.score <= -STRONG_SIGNAL).length;
+  const balance = Math.min(distribution.positive, distribution.negative) /
+    Math.max(distribution.positive, distribution.negative, 1);
+
+  let classification = pageClassification;
+  if (strongPositive > 0 && strongNegative > 0 && balance >= MIXED_BALANCE) {
+    classification = 'mixed';
+  }
+
+  // Agreement: share of mentions that side with the page classification
+  const total = mentionScores.length;
+  let agreement = 1;
+  if (classification === 'mixed') {
+    agreement = 0.5;
+  } else if (total > 0) {
+    agreement = distribution[classification] / total;
+  }
+
+  const volume = 1 - Math.exp(-evidence / EVIDENCE_SCALE);
+  const confidence = Math.round(volume * (0.5 + 0.5 * agreement) * 100) / 100;
+
+  return { classification, distribution, confidence };
+}
+
+// "3 mentions: 2 favorable, 1 unfavorable" for report cells
+function formatMentionDistribution(distribution) {
+  if (!distribution) return '';
+  const total = distribution.positive + distribution.neutral + distribution.negative;
+  if (total === 0) return '';
+  const parts = [
+    distribution.positive > 0 ? `${distribution.positive} favorable` : null,
+    distribution.neutral > 0 ? `${distribution.neutral} neutral` : null,
+    distribution.negative > 0 ? `${distribution.negative} unfavorable` : null,
+  ].filter(Boolean);
+  return `${total} mention${total > 1 ? 's' : ''}: ${parts.join(', ')}`;
+}
+
+module.exports = {
+  CLASSIFICATION_LABELS,
+  sentenceAt,
+  summarizeMentionSentiment,
+  formatMentionDistribution
+};
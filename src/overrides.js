@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Analyst labels: { "<url>": { classification, notes, reviewer, reviewedAt, contentHash } }
+const OVERRIDES_FILE = path.join(__dirname, '..', 'labels', 'overrides.json');
+
+const CLASSIFICATIONS = ['positive', 'neutral', 'negative', 'mixed'];
+
+// Content hashes more than this many bits apart (of 64) mean the page was substantially rewritten
+const SUBSTANTIAL_CHANGE_BITS = 12;
+
+// Read the overrides file; a missing file means no overrides
+function loadOverrides(file = OVERRIDES_FILE) {
+  if (!fs.existsSync(file)) return {};
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  Object.entries(overrides).forEach(([url, entry]) => {
+    if (!CLASSIFICATIONS.includes(entry.classification)) {
+      throw new Error(`Override for ${url} has unknown classification "${entry.classification}" (use ${CLASSIFICATIONS.join(', ')})`);
+    }
+    if (entry.contentHash && !/^[0-9a-f]{16}$/i.test(entry.contentHash)) {
+      throw new Error(`Override for ${url} has an invalid contentHash "${entry.contentHash}" (copy it from the JSON report)`);
+    }
+  });
+  return overrides;
+}
+
+// 64-bit similarity hash (simhash over 3-word shingles) of the page text as 16 hex chars.
+// Small edits flip a few bits; a rewritten page lands far away.
+function contentHash(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const shingles = words.length < 3
+    ? words
+    : words.slice(0, -2).map((word, i) => `${word} ${words[i + 1]} ${words[i + 2]}`);
+
+  const weights = new Array(64).fill(0);
+  shingles.forEach(shingle => {
+    const bits = BigInt(`0x${crypto.createHash('md5').update(shingle).digest('hex').slice(0, 16)}`);
+    for (let i = 0; i < 64; i++) {
+      weights[i] += (bits >> BigInt(i)) & 1n ? 1 : -1;
+    }
+  });
+
+  let hash = 0n;
+  weights.forEach((weight, i) => {
+    if (weight > 0) hash |= 1n << BigInt(i);
+  });
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two content hashes
+function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff > 0n) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+// The override for a page and whether it still holds: { status: 'applied' | 'stale', entry, distance, verified }.
+// Pinned entries go stale once the page changes substantially. Entries without a contentHash
+// apply to the URL whatever the content, so they are flagged as unverified.
+function matchOverride(overrides, url, hash) {
+  const entry = overrides[url];
+  if (!entry) return null;
+  if (!entry.contentHash) return { status: 'applied', entry, distance: null, verified: false };
+
+  const distance = hashDistance(entry.contentHash, hash);
+  return { status: distance > SUBSTANTIAL_CHANGE_BITS ? 'stale' : 'applied', entry, distance, verified: true };
+}
+
+// "Overridden by jdoe on 2026-10-01: reads as an ad" for report rows
+function formatOverride(override) {
+  if (!override) return '';
+  const { entry } = override;
+  const by = [entry.reviewer ? `by ${entry.reviewer}` : null, entry.reviewedAt ? `on ${entry.reviewedAt}` : null]
+    .filter(Boolean).join(' ');
+  if (override.status === 'stale') {
+    return `Override ${by ? `${by} ` : ''}no longer applied: page content changed, re-review needed`;
+  }
+  const unverified = override.verified === false ? ' (unverified: no contentHash, page changes go unnoticed)' : '';
+  return `Overridden${by ? ` ${by}` : ''}${entry.notes ? `: ${entry.notes}` : ''}${unverified}`;
+}
+
+module.exports = {
+  OVERRIDES_FILE,
+  SUBSTANTIAL_CHANGE_BITS,
+  loadOverrides,
+  contentHash,
+  hashDistance,
+  matchOverride,
+  formatOverride
+};
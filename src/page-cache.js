@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Create an on-disk page cache.
+// Bodies are stored content-addressed under `bodies/<sha256 of html>.html` so identical pages
+// share one file; `entries/<sha256 of url>.json` maps each URL to its body plus the
+// validators (ETag / Last-Modified) needed for conditional revalidation.
+function createPageCache({ dir, ttl }) {
+  const entriesDir = path.join(dir, 'entries');
+  const bodiesDir = path.join(dir, 'bodies');
+
+  fs.mkdirSync(entriesDir, { recursive: true });
+  fs.mkdirSync(bodiesDir, { recursive: true });
+
+  const entryPath = (url) => path.join(entriesDir, `${sha256(url)}.json`);
+  const bodyPath = (contentHash) => path.join(bodiesDir, `${contentHash}.html`);
+
+  // Look up a URL; returns the entry with its HTML, or null if missing or unreadable
+  function get(url) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(entryPath(url), 'utf8'));
+      const html = fs.readFileSync(bodyPath(entry.contentHash), 'utf8');
+      return { ...entry, html };
+    } catch {
+      return null;
+    }
+  }
+
+  // Whether a cached entry is younger than the TTL and can be used without revalidating
+  function isFresh(entry) {
+    return Boolean(entry) && Date.now() - new Date(entry.fetchedAt).getTime() < ttl;
+  }
+
+  // Store a fetched page along with its validators and the URL it was served from after redirects
+  function put(url, html, headers = {}, finalUrl = url) {
+    const contentHash = sha256(html);
+    const file = bodyPath(contentHash);
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, html, 'utf8');
+    }
+
+    const entry = {
+      url,
+      finalUrl,
+      contentHash,
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null,
+      fetchedAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(entryPath(url), JSON.stringify(entry, null, 2), 'utf8');
+    return entry;
+  }
+
+  // Mark a cached entry as revalidated (server answered 304 Not Modified)
+  function touch(url) {
+    const entry = get(url);
+    if (!entry) return;
+    const { html, ...stored } = entry;
+    stored.fetchedAt = new Date().toISOString();
+    fs.writeFileSync(entryPath(url), JSON.stringify(stored, null, 2), 'utf8');
+  }
+
+  return { get, isFresh, put, touch };
+}
+
+module.exports = { createPageCache };
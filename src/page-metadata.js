@@ -0,0 +1,134 @@
+const cheerio = require('cheerio');
+
+// schema.org types whose JSON-LD blocks describe the page itself
+const ARTICLE_TYPE_PATTERN = /Article|BlogPosting|Report|Review|WebPage|NewsArticle|Posting/i;
+
+// Units accepted by --max-age ("30d", "6w", "12m", "2y")
+const AGE_UNITS = { d: 1, w: 7, m: 30.44, y: 365.25 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// First non-empty value
+const firstOf = (...values) => values.map(value => clean(value)).find(Boolean) || null;
+
+// ISO date (YYYY-MM-DD) from a date string in any format Date can read, else null.
+// ISO timestamps keep their own day rather than shifting with the time zone.
+function parseDate(value) {
+  const text = clean(value);
+  if (!text) return null;
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const date = new Date(iso ? `${iso[1]}-${iso[2]}-${iso[3]}T00:00:00Z` : text);
+  if (Number.isNaN(date.getTime()) || date.getFullYear() < 1995) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Every JSON-LD object on the page, with @graph arrays flattened
+function readJsonLd($) {
+  const nodes = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      nodes.push(node);
+      if (node['@graph']) visit(node['@graph']);
+    }
+  };
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      visit(JSON.parse($(el).contents().text()));
+    } catch {
+      // Broken JSON-LD is common; the meta tags still apply
+    }
+  });
+  return nodes;
+}
+
+// Names from a JSON-LD author/publisher value: "Jane Doe", { name }, or a list of either
+function jsonLdNames(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(jsonLdNames);
+  if (typeof value === 'string') return [clean(value)];
+  return value.name ? [clean(value.name)] : [];
+}
+
+// Title, description, Open Graph/Twitter tags, JSON-LD dates and author, and the canonical URL.
+// Dates are ISO days; `dateSource` says where the publish date came from.
+function extractMetadata(html, pageUrl) {
+  const $ = cheerio.load(html || '');
+  const meta = (...names) => firstOf(...names.map(name => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content')));
+
+  const jsonLd = readJsonLd($);
+  const article = jsonLd.find(node => [].concat(node['@type'] || []).some(type => ARTICLE_TYPE_PATTERN.test(type)) && node.datePublished) ||
+    jsonLd.find(node => [].concat(node['@type'] || []).some(type => ARTICLE_TYPE_PATTERN.test(type))) ||
+    {};
+
+  let canonicalUrl = null;
+  const canonicalHref = $('link[rel="canonical"]').first().attr('href');
+  if (canonicalHref) {
+    try {
+      canonicalUrl = new URL(canonicalHref.trim(), pageUrl).href;
+    } catch {
+      canonicalUrl = null;
+    }
+  }
+
+  // Publish date: JSON-LD, then article meta tags, then the first <time datetime>
+  const dateCandidates = [
+    ['json-ld', article.datePublished],
+    ['meta', meta('article:published_time', 'og:published_time', 'datePublished', 'publish-date', 'date', 'dc.date', 'DC.date.issued')],
+    ['time', $('time[datetime]').first().attr('datetime')],
+  ];
+  const [dateSource, publishedAt] = dateCandidates
+    .map(([source, value]) => [source, parseDate(value)])
+    .find(([, date]) => date) || [null, null];
+
+  const authors = jsonLdNames(article.author);
+  return {
+    title: firstOf(meta('og:title', 'twitter:title'), $('title').first().text(), article.headline, $('h1').first().text()),
+    description: meta('description', 'og:description', 'twitter:description'),
+    siteName: firstOf(meta('og:site_name', 'application-name'), jsonLdNames(article.publisher)[0]),
+    author: authors.length > 0 ? [...new Set(authors)].join(', ') : meta('author', 'article:author', 'twitter:creator'),
+    publishedAt,
+    modifiedAt: parseDate(article.dateModified) || parseDate(meta('article:modified_time', 'og:updated_time')),
+    dateSource,
+    canonicalUrl,
+    type: meta('og:type'),
+    image: meta('og:image', 'twitter:image'),
+    twitterCard: meta('twitter:card'),
+  };
+}
+
+// Oldest publish date (ISO day) to analyze from --published-after=YYYY-MM-DD or --max-age=12m
+// (d/w/m/y; a bare number is days). Returns null when neither is set.
+function resolvePublishedAfter({ publishedAfter, maxAge }, now = new Date()) {
+  if (publishedAfter) {
+    const date = parseDate(publishedAfter);
+    if (!date) throw new Error(`Invalid --published-after date "${publishedAfter}" (use YYYY-MM-DD)`);
+    return date;
+  }
+  if (!maxAge) return null;
+  const match = String(maxAge).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([dwmy]?)$/);
+  if (!match) throw new Error(`Invalid --max-age "${maxAge}" (use e.g. 30d, 6w, 12m, 2y)`);
+  const days = Number(match[1]) * AGE_UNITS[match[2] || 'd'];
+  return new Date(now.getTime() - days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// "Published 2025-03-14 · Jane Doe · Example News" for report rows
+function formatMetadata(metadata) {
+  if (!metadata) return '';
+  return [
+    metadata.publishedAt ? `Published ${metadata.publishedAt}` : null,
+    metadata.author,
+    metadata.siteName,
+  ].filter(Boolean).join(' · ');
+}
+
+module.exports = {
+  parseDate,
+  readJsonLd,
+  extractMetadata,
+  resolvePublishedAfter,
+  formatMetadata
+};
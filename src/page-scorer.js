@@ -0,0 +1,335 @@
+const { REGIONS } = require('./content-extractor');
+const { scoreIndicatorMatches } = require('./indicator-scorer');
+const { DEFAULT_ENGINE_WEIGHTS, DEFAULT_THRESHOLDS, createAfinnScorer, combineScores, classifyScore } = require('./hybrid-scorer');
+const { sentenceAt, summarizeMentionSentiment } = require('./mention-sentiment');
+const { scorePageAspects } = require('./aspects');
+const { maskMentions } = require('./text-classifier');
+
+// How much brand sentiment in each page region counts (sidebars/banners are ignored by default)
+const DEFAULT_REGION_WEIGHTS = { main: 1, comments: 0.5, boilerplate: 0 };
+
+// Scoring engines: the rules (indicators + AFINN), a trained text classifier, or both blended
+const ENGINES = ['rules', 'model', 'ensemble'];
+
+// Share of the page score taken by structured star ratings of the brand when the page also
+// has brand sentences (ratings alone decide pages without any)
+const DEFAULT_RATING_WEIGHT = 0.5;
+
+// Page sentiment scorer for one configuration: brand matcher, lexicon (plus lexicons for other
+// page languages), engine, region and rating weights, score thresholds and optionally a trained
+// classifier. The analyzer builds one per run; the evaluation harness builds one per
+// configuration it compares.
+function createPageScorer({
+  brandMatcher,
+  lexicon,
+  languageLexicons = {},
+  aspectTagger,
+  riskDetector,
+  engineWeights = DEFAULT_ENGINE_WEIGHTS,
+  regionWeights = DEFAULT_REGION_WEIGHTS,
+  thresholds = DEFAULT_THRESHOLDS,
+  engine = 'rules',
+  classifier = null,
+  modelWeight = 0.5,
+  ratingWeight = DEFAULT_RATING_WEIGHT,
+}) {
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}" (use ${ENGINES.join(', ')})`);
+  }
+  if (engine !== 'rules' && !classifier) {
+    throw new Error(`The "${engine}" engine needs a trained model`);
+  }
+
+  // Indicator lexicon and AFINN-165 word scores (via the sentiment library, with the packs'
+  // overrides) per page language; languages without a lexicon are scored with the default one
+  const defaultLanguage = lexicon.language || 'en';
+  const languages = new Map([[defaultLanguage, { language: defaultLanguage, lexicon, afinnScorer: createAfinnScorer(lexicon) }]]);
+  Object.entries(languageLexicons).forEach(([language, languageLexicon]) => {
+    if (language === defaultLanguage) return;
+    languages.set(language, { language, lexicon: languageLexicon, afinnScorer: createAfinnScorer(languageLexicon) });
+  });
+  const scorersFor = (language) => languages.get(language) || languages.get(defaultLanguage);
+
+  // Classify based on indicator counts and the combined score
+  function classifyIndicatorCounts(score, positiveCount, negativeCount) {
+    if (score >= 3 || (positiveCount >= 3 && negativeCount === 0)) {
+      return 'positive';
+    }
+    if (score < 0 || negativeCount >= 1) {
+      return 'negative';
+    }
+    return 'neutral';
+  }
+
+  // Context-aware brand sentiment analyzer, with the lexicon for the page language
+  function analyzeBrandContext(text, language = defaultLanguage) {
+    // Extract sentences containing a brand mention (names, products, executives, tickers from the profile).
+    // Mentions are disambiguated against the whole text, so context outside the sentence still counts.
+    const mentions = brandMatcher.findMentions(text);
+    const brandSentences = [];
+    for (const match of text.matchAll(/[^.!?]+[.!?]+/g)) {
+      const end = match.index + match[0].length;
+      if (mentions.some(m => m.index >= match.index && m.index < end)) {
+        brandSentences.push(match[0]);
+      }
+    }
+  
+    if (brandSentences.length === 0) {
+      return { score: 0, classification: 'neutral', indicators: [] };
+    }
+  
+    const brandContext = brandSentences.join(' ');
+  
+    return {
+      ...scoreIndicators(brandContext, language),
+      afinn: scorersFor(language).afinnScorer.analyze(brandContext),
+      brandSentences: brandSentences.length,
+      context: brandContext
+    };
+  }
+
+  // Count positive/negative business indicators in a piece of text and classify it
+  function scoreIndicators(text, language = defaultLanguage) {
+    const brandContext = text.toLowerCase();
+  
+    // Count indicators in brand context, honoring negation ("no recall"), intensifiers and hedges
+    const {
+      positiveCount,
+      negativeCount,
+      positive,
+      negative,
+      negated,
+      intensified,
+      hedged
+    } = scoreIndicatorMatches(brandContext, scorersFor(language).lexicon);
+  
+    // Calculate sentiment score based on brand context
+    const score = Math.round((positiveCount - (negativeCount * 2)) * 10) / 10; // Weight negative more heavily
+    const classification = classifyIndicatorCounts(score, positiveCount, negativeCount);
+  
+    return {
+      score,
+      classification,
+      positiveCount,
+      negativeCount,
+      positive,
+      negative,
+      negated,
+      intensified,
+      hedged
+    };
+  }
+
+  // Apply the model engine to a rules result for the same text. 'model' takes the classifier's
+  // score and class; 'ensemble' blends its score with the rules score. Sentences cannot be
+  // mixed (that is a page-level class), so they fall back to the score thresholds. The model
+  // is trained on default-language text, so other languages keep the rules result.
+  function withModel(scored, text, { allowMixed = false, language = defaultLanguage } = {}) {
+    if (engine === 'rules' || language !== defaultLanguage) return scored;
+    const prediction = classifier.predict(maskMentions(text, brandMatcher));
+    const score = engine === 'model'
+      ? prediction.score
+      : Math.round(((1 - modelWeight) * scored.score + modelWeight * prediction.score) * 100) / 100;
+    const useModelClass = engine === 'model' && (allowMixed || prediction.classification !== 'mixed');
+    return {
+      ...scored,
+      score,
+      classification: useModelClass ? prediction.classification : classifyScore(score, thresholds),
+      engines: {
+        ...scored.engines,
+        model: {
+          score: prediction.score,
+          classification: prediction.classification,
+          probabilities: prediction.probabilities,
+          weight: engine === 'model' ? 1 : modelWeight
+        }
+      }
+    };
+  }
+
+  // Blend the page's structured brand ratings (see structured-reviews.js) into a page result.
+  // Star ratings are a direct verdict, so they can settle a page the text leaves neutral.
+  function withRatings(scored, ratings, hasBrandText) {
+    if (!ratings || ratingWeight === 0) return scored;
+    const weight = hasBrandText ? ratingWeight : 1;
+    const score = Math.round(((1 - weight) * scored.score + weight * ratings.score) * 100) / 100;
+    return {
+      ...scored,
+      score,
+      classification: classifyScore(score, thresholds),
+      engines: {
+        ...scored.engines,
+        ratings: {
+          score: ratings.score,
+          stars: ratings.stars,
+          reviewCount: ratings.reviewCount,
+          weight
+        }
+      }
+    };
+  }
+
+  // Score a piece of text with both engines (indicators + AFINN) and combine them
+  function scoreHybrid(text, language = defaultLanguage) {
+    const indicators = scoreIndicators(text, language);
+    const afinn = scorersFor(language).afinnScorer.analyze(text);
+    const sentences = (text.match(/[^.!?]+[.!?]+/g) || [text]).length;
+    const combined = combineScores({
+      indicatorScore: indicators.score,
+      afinnScore: afinn.score,
+      afinnTokens: afinn.tokens,
+      sentences
+    }, engineWeights, thresholds);
+    return withModel({ ...indicators, ...combined }, text, { language });
+  }
+
+  // Analyze brand sentiment per page region and combine using the region weights.
+  // `language` is the detected page language and picks the lexicon; `ratings` is the page's
+  // summarized structured brand ratings, if any.
+  function analyzeSentiment(content, language = defaultLanguage, ratings = null) {
+    const lexiconLanguage = scorersFor(language).language;
+    if (REGIONS.every(region => !content[region] || content[region].trim().length === 0)) {
+      return null;
+    }
+
+    let positiveCount = 0;
+    let negativeCount = 0;
+    let brandSentences = 0;
+    let afinnScore = 0;
+    let afinnTokens = 0;
+    const positive = [];
+    const negative = [];
+    const afinnPositive = [];
+    const afinnNegative = [];
+    const mentions = [];
+    const sentenceScores = new Map();
+    const negated = [];
+    const intensified = [];
+    const hedged = [];
+    const regions = {};
+    const brandContexts = [];
+
+    REGIONS.forEach(region => {
+      const text = content[region];
+      if (!text) return;
+
+      // Use context-aware analysis for brand perception
+      const brandAnalysis = analyzeBrandContext(text, lexiconLanguage);
+      const regionScore = brandAnalysis.brandSentences
+        ? withModel(combineScores({
+          indicatorScore: brandAnalysis.score,
+          afinnScore: brandAnalysis.afinn.score,
+          afinnTokens: brandAnalysis.afinn.tokens,
+          sentences: brandAnalysis.brandSentences
+        }, engineWeights, thresholds), brandAnalysis.context, { allowMixed: true, language: lexiconLanguage })
+        : { score: 0, classification: 'neutral' };
+      regions[region] = {
+        score: regionScore.score,
+        classification: regionScore.classification,
+        weight: regionWeights[region] || 0
+      };
+
+      const weight = regionWeights[region] || 0;
+      if (weight === 0 || !brandAnalysis.brandSentences) return;
+
+      positiveCount += weight * brandAnalysis.positiveCount;
+      negativeCount += weight * brandAnalysis.negativeCount;
+      brandSentences += weight * brandAnalysis.brandSentences;
+      afinnScore += weight * brandAnalysis.afinn.score;
+      afinnTokens += weight * brandAnalysis.afinn.tokens;
+      brandAnalysis.afinn.positive.forEach(word => { if (!afinnPositive.includes(word)) afinnPositive.push(word); });
+      brandAnalysis.afinn.negative.forEach(word => { if (!afinnNegative.includes(word)) afinnNegative.push(word); });
+      brandAnalysis.positive.forEach(word => { if (!positive.includes(word)) positive.push(word); });
+      brandAnalysis.negative.forEach(word => { if (!negative.includes(word)) negative.push(word); });
+      negated.push(...brandAnalysis.negated);
+      intensified.push(...brandAnalysis.intensified);
+      hedged.push(...brandAnalysis.hedged);
+      brandContexts.push(brandAnalysis.context);
+
+      // Score each mention on its own sentence so one page can praise a product and report a lawsuit
+      brandMatcher.findMentions(text).forEach(mention => {
+        const sentence = sentenceAt(text, mention.index);
+        if (!sentenceScores.has(sentence)) sentenceScores.set(sentence, scoreHybrid(sentence, lexiconLanguage));
+        const scored = sentenceScores.get(sentence);
+        mentions.push({
+          text: mention.text,
+          kind: mention.kind,
+          region,
+          sentence: sentence.length > 300 ? `${sentence.slice(0, 300)}...` : sentence,
+          score: scored.score,
+          classification: scored.classification
+        });
+      });
+    });
+
+    const round = (n) => Math.round(n * 10) / 10;
+    positiveCount = round(positiveCount);
+    negativeCount = round(negativeCount);
+    const indicatorScore = round(positiveCount - (negativeCount * 2));
+
+    // Domain indicators and AFINN word scores, merged under the configured engine weights;
+    // the model engine reads the brand sentences of every counted region as one document.
+    // Star ratings of the brand or its products are blended in last.
+    const combined = withRatings(withModel(
+      combineScores({ indicatorScore, afinnScore, afinnTokens, sentences: brandSentences }, engineWeights, thresholds),
+      brandContexts.join(' '),
+      { allowMixed: true, language: lexiconLanguage }
+    ), ratings, brandSentences > 0);
+
+    // Per-mention distribution, mixed detection and confidence from the amount of evidence
+    const evidence = positive.length + negative.length + afinnPositive.length + afinnNegative.length + mentions.length +
+      (ratings ? ratings.aggregates + ratings.reviews : 0);
+    const mentionSummary = summarizeMentionSentiment(mentions, combined.classification, evidence);
+
+    // Aspect scores from the distinct brand sentences
+    const aspects = scorePageAspects(
+      [...sentenceScores.entries()].map(([sentence, scored]) => ({ sentence, score: scored.score })),
+      aspectTagger,
+      (score) => classifyScore(score, thresholds)
+    );
+
+    // Reputational risks (recalls, lawsuits, fraud, ...) raised in the brand sentences
+    const { riskLevel, risks } = riskDetector.detect([...sentenceScores.keys()], scorersFor(lexiconLanguage).lexicon);
+
+    return {
+      score: combined.score,
+      comparative: combined.engines.afinn.comparative,
+      positive,
+      negative,
+      positiveCount,
+      negativeCount,
+      afinnPositive,
+      afinnNegative,
+      negated,
+      intensified,
+      hedged,
+      classification: mentionSummary.classification,
+      confidence: mentionSummary.confidence,
+      distribution: mentionSummary.distribution,
+      mentions,
+      aspects,
+      riskLevel,
+      risks,
+      engines: combined.engines,
+      ratings,
+      regions,
+      language: lexiconLanguage
+    };
+  }
+
+  return {
+    brandMatcher,
+    lexicon,
+    languages: [...languages.keys()],
+    engine,
+    scoreHybrid,
+    analyzeSentiment
+  };
+}
+
+module.exports = {
+  DEFAULT_REGION_WEIGHTS,
+  DEFAULT_RATING_WEIGHT,
+  ENGINES,
+  createPageScorer
+};
@@ -1,7 +1,10 @@
 const fs = require('fs');
-const iconv = require('iconv-lite');
+const { readDelimitedFile, formatCSVField } = require('./csv');
+const { BACKLINK_FIELDS } = require('./backlink-record');
+const { detectImporter, importRow } = require('./importers');
+const { loadUrlRules, createUrlNormalizer } = require('./url-normalizer');
 
-// Read and convert the Ahrefs CSV file
+// Read and convert the backlink export (Ahrefs, Semrush, Majestic, Moz or Search Console)
 const inputFile = process.argv[2] || 'backlinks.csv';
 const outputFile = process.argv[3] || 'parsed-urls.csv';
 const englishOnly = process.argv[4] === 'true'; // Optional: filter for English-only URLs
@@ -11,76 +14,80 @@ if (englishOnly) {
   console.log(`Filter: English language only`);
 }
 
-// Read the file as a buffer
-const buffer = fs.readFileSync(inputFile);
+// Detect encoding (BOM / UTF-16 heuristics), delimiter and RFC 4180 quoting
+const { encoding, bom, delimiter, headers, rows, errors } = readDelimitedFile(inputFile);
 
-// Try to detect and convert from UTF-16LE
-let content;
-try {
-  content = iconv.decode(buffer, 'utf16le');
-} catch (e) {
-  console.log('UTF-16LE failed, trying UTF-8');
-  content = buffer.toString('utf8');
+const delimiterName = { '\t': 'tab', ',': 'comma', ';': 'semicolon', '|': 'pipe' }[delimiter] || delimiter;
+console.log(`Detected encoding: ${encoding}${bom ? ' (BOM)' : ''}, delimiter: ${delimiterName}`);
+
+// Report malformed rows so re-saved exports can be fixed instead of silently losing data
+if (errors.length > 0) {
+  console.log(`⚠️  Skipped ${errors.length} malformed row(s):`);
+  errors.slice(0, 20).forEach(err => {
+    console.log(`   Line ${err.line}: ${err.message}`);
+  });
+  if (errors.length > 20) {
+    console.log(`   ... and ${errors.length - 20} more`);
+  }
+}
+
+// Detect which link tool produced the export from its header signature
+const { importer, columns } = detectImporter(headers);
+console.log(`Detected source: ${importer.label}`);
+
+if (columns.url.length === 0) {
+  console.error(`❌ Error: No URL column found in header (${headers.join(', ')})`);
+  process.exit(1);
 }
 
-// Split into lines
-const lines = content.split(/\r?\n/);
-
-// Find the URL and Language columns
-const headerLine = lines[0];
-const headers = headerLine.split('\t');
-const urlColumnIndex = headers.findIndex(h => 
-  h.includes('Referring page URL') || h.includes('URL')
-);
-const languageColumnIndex = headers.findIndex(h => 
-  h.includes('Language')
-);
-
-console.log(`Found URL column at index: ${urlColumnIndex}`);
-if (englishOnly && languageColumnIndex >= 0) {
-  console.log(`Found Language column at index: ${languageColumnIndex}`);
+const hasLanguage = columns.language && columns.language.length > 0;
+console.log(`Found URL column: ${columns.url[0]}`);
+if (englishOnly && hasLanguage) {
+  console.log(`Found Language column: ${columns.language[0]}`);
 }
 
-// Extract URLs
-const urls = [];
-const seenUrls = new Set();
+// Extract one backlink record per row; duplicate URLs are kept so the analyzer can report how
+// many rows collapse into each page (it groups them with config/url-rules.json)
+const records = [];
 let filteredCount = 0;
 
-for (let i = 1; i < lines.length; i++) {
-  if (!lines[i].trim()) continue;
-  
-  const columns = lines[i].split('\t');
-  if (columns.length > urlColumnIndex) {
-    let url = columns[urlColumnIndex].trim();
-    // Remove quotes if present
-    url = url.replace(/^"/, '').replace(/"$/, '');
-    
-    // Check language filter if enabled
-    if (englishOnly && languageColumnIndex >= 0) {
-      const language = columns[languageColumnIndex]?.trim().replace(/^"/, '').replace(/"$/, '') || '';
-      // Only include if language is "en" or starts with "en"
-      if (!language.startsWith('en') && language !== 'en') {
-        filteredCount++;
-        continue;
-      }
-    }
-    
-    if (url && url.startsWith('http') && !seenUrls.has(url)) {
-      seenUrls.add(url);
-      urls.push(url);
+rows.forEach(({ values }) => {
+  const row = {};
+  headers.forEach((header, index) => {
+    row[header] = values[index];
+  });
+  const record = importRow(importer, columns, row);
+  const url = record.url || '';
+
+  // Check language filter if enabled
+  if (englishOnly && hasLanguage) {
+    const language = record.language || '';
+    // Only include if language is "en" or starts with "en"
+    if (!language.startsWith('en')) {
+      filteredCount++;
+      return;
     }
   }
-}
+
+  if (url && url.startsWith('http')) {
+    records.push(record);
+  }
+});
 
 if (englishOnly && filteredCount > 0) {
   console.log(`Filtered out ${filteredCount} non-English URLs`);
 }
 
-console.log(`Extracted ${urls.length} unique URLs`);
+const normalizer = createUrlNormalizer(loadUrlRules());
+const uniquePages = new Set(records.map(record => normalizer.normalize(record.url) || record.url)).size;
+console.log(`Extracted ${records.length} URLs (${uniquePages} unique pages after URL normalization)`);
 
-// Write to output CSV
-const outputContent = 'url\n' + urls.join('\n');
-fs.writeFileSync(outputFile, outputContent, 'utf8');
+// Write to output CSV, keeping the link metrics alongside each URL
+const fieldNames = BACKLINK_FIELDS.map(field => field.key);
+const outputLines = [fieldNames.join(',')];
+records.forEach(record => {
+  outputLines.push(fieldNames.map(key => formatCSVField(record[key])).join(','));
+});
+fs.writeFileSync(outputFile, outputLines.join('\n'), 'utf8');
 
 console.log(`✓ Saved to: ${outputFile}`);
-
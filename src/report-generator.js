@@ -1,7 +1,41 @@
 const fs = require('fs');
+const { formatLinkMetrics } = require('./backlink-record');
+const { getMetricLabels } = require('./importers');
+const { ERROR_TYPES } = require('./fetch-errors');
+const { describeMentionRegions } = require('./content-extractor');
+const { formatMentionConfidence } = require('./disambiguation');
+const { formatLexiconPacks } = require('./lexicon');
+const { formatEngineScores } = require('./hybrid-scorer');
+const { formatModel } = require('./text-classifier');
+const { LANGUAGE_NAMES, formatLanguage, formatLanguageCounts } = require('./language-detector');
+const { formatMetadata } = require('./page-metadata');
+const { formatRatings } = require('./structured-reviews');
+const { formatCollapsed } = require('./url-normalizer');
+const { CLASSIFICATION_LABELS, formatMentionDistribution } = require('./mention-sentiment');
+const { RISK_LEVEL_LABELS, formatRisks } = require('./risk-detector');
+const { formatOverride } = require('./overrides');
+const { formatLinkStatus } = require('./link-locator');
+const { defaultBrandProfile, createBrandMatcher } = require('./brand-profile');
+
+// Wrap every brand mention in an excerpt with a highlight span (the page text itself is escaped)
+function highlightMentions(text, brandMatcher) {
+  let html = '';
+  let last = 0;
+  brandMatcher.findMentions(text).forEach(mention => {
+    html += escapeHtml(text.slice(last, mention.index)) + `<span class="highlight">${escapeHtml(mention.text)}</span>`;
+    last = mention.index + mention.length;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+// Page titles, anchor texts and other page- or export-controlled text are escaped
+function escapeHtml(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
 function generateHTMLReport(data, outputPath) {
   const { searchTerm, timestamp, results, summary, insights } = data;
+  const brandMatcher = createBrandMatcher(data.brandProfile || defaultBrandProfile(searchTerm));
   
   // Calculate statistics
   const successful = results.filter(r => r.status === 'success' && r.sentiment);
@@ -11,6 +45,7 @@ function generateHTMLReport(data, outputPath) {
   let positive = 0;
   let negative = 0;
   let neutral = 0;
+  let mixed = 0;
   
   if (successful.length > 0) {
     avgScore = successful.reduce((sum, r) => sum + r.sentiment.score, 0) / successful.length;
@@ -18,11 +53,28 @@ function generateHTMLReport(data, outputPath) {
     positive = successful.filter(r => r.classification === 'positive').length;
     negative = successful.filter(r => r.classification === 'negative').length;
     neutral = successful.filter(r => r.classification === 'neutral').length;
+    mixed = successful.filter(r => r.classification === 'mixed').length;
   }
   
   const positivePercent = successful.length > 0 ? (positive / successful.length * 100).toFixed(1) : 0;
   const neutralPercent = successful.length > 0 ? (neutral / successful.length * 100).toFixed(1) : 0;
   const negativePercent = successful.length > 0 ? (negative / successful.length * 100).toFixed(1) : 0;
+  const mixedPercent = successful.length > 0 ? (mixed / successful.length * 100).toFixed(1) : 0;
+  
+  // Per-mention sentiment: distribution plus each mention's sentence and score
+  function generateMentionBreakdown(result) {
+    if (!result.sentiment || !result.sentiment.mentions || result.sentiment.mentions.length === 0) {
+      return '';
+    }
+    const mentions = result.sentiment.mentions;
+    return `<details class="mention-breakdown">
+      <summary>${formatMentionDistribution(result.sentiment.distribution)}</summary>
+      <ul>
+        ${mentions.slice(0, 10).map(m => `<li>${CLASSIFICATION_LABELS[m.classification]} <span class="score-value ${m.classification}">${m.score}</span> (${m.region === 'main' ? 'article' : m.region}): "${highlightMentions(m.sentence, brandMatcher)}"</li>`).join('')}
+        ${mentions.length > 10 ? `<li>... and ${mentions.length - 10} more</li>` : ''}
+      </ul>
+    </details>`;
+  }
   
   // Generate concise overview
   function generateExecutiveOverview() {
@@ -31,7 +83,7 @@ function generateHTMLReport(data, outputPath) {
     return `<div class="executive-overview">
       <h2>📊 Overview</h2>
       <div class="overview-content">
-        <p><strong>${searchTerm}</strong> analysis of ${results.length} pages shows <strong>${overallSentiment}</strong> sentiment (score: ${avgScore.toFixed(2)}). ${positive} positive (${positivePercent}%), ${neutral} neutral (${neutralPercent}%), ${negative} negative (${negativePercent}%). ${summary.withMentions} of ${summary.successful} pages mention the brand.</p>
+        <p><strong>${searchTerm}</strong> analysis of ${results.length} pages shows <strong>${overallSentiment}</strong> sentiment (score: ${avgScore.toFixed(2)}). ${positive} positive (${positivePercent}%), ${neutral} neutral (${neutralPercent}%), ${negative} negative (${negativePercent}%)${mixed > 0 ? `, ${mixed} mixed (${mixedPercent}%)` : ''}. ${summary.withMentions} of ${summary.successful} pages mention the brand.</p>
         
         <p><strong>Action:</strong> ${negative > 0 ? `Address ${negative} negative page${negative > 1 ? 's' : ''} immediately.` : ''} ${neutral > 0 ? `Enhance ${neutral} neutral page${neutral > 1 ? 's' : ''}.` : ''} ${positive > 0 ? `Leverage ${positive} positive mention${positive > 1 ? 's' : ''}.` : ''}</p>
       </div>
@@ -58,6 +110,197 @@ function generateHTMLReport(data, outputPath) {
     </div>`;
   }
   
+  // Pages raising critical risks (fatalities, fraud, bankruptcy, ...), shown above everything else
+  function generateCriticalRisksSection() {
+    const critical = results.filter(r => r.riskLevel === 'critical');
+    const high = results.filter(r => r.riskLevel === 'high');
+    if (critical.length === 0 && high.length === 0) return '';
+    
+    return `<div class="critical-risks">
+      <h2>🚨 Critical Risks (${critical.length})</h2>
+      ${critical.length === 0 ? '<p class="skipped-note">No critical risks found.</p>' : `<ul>
+        ${critical.map(r => {
+          const top = r.risks.filter(risk => risk.severity === 'critical');
+          return `<li><a href="${escapeHtml(r.url)}" target="_blank">${escapeHtml(r.url)}</a> <span class="badge negative">${formatRisks(top)}</span>
+          <div class="excerpt"><em>"${highlightMentions(top[0].sentence, brandMatcher)}"</em></div></li>`;
+        }).join('')}
+      </ul>`}
+      ${high.length > 0 ? `<p class="skipped-note">${high.length} more page${high.length > 1 ? 's' : ''} with high-severity risks ${high.length > 1 ? 'are' : 'is'} flagged in the results table.</p>` : ''}
+    </div>`;
+  }
+  
+  // Sentiment per aspect (product, pricing, safety, ...) with example excerpts
+  function generateAspectsSection() {
+    const aspects = data.aspects || [];
+    if (aspects.length === 0) return '';
+    
+    const examples = (list, polarity) => list.map(e => `<li><span class="score-value ${polarity}">${e.score}</span> "${highlightMentions(e.sentence, brandMatcher)}" <a href="${escapeHtml(e.url)}" target="_blank">source</a></li>`).join('');
+    
+    return `<div class="insights-section aspects-section">
+      <h2>🧩 Sentiment by Aspect</h2>
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Aspect</th>
+            <th>Pages</th>
+            <th>Sentences</th>
+            <th>Avg Score</th>
+            <th>Sentiment</th>
+            <th>Examples</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${aspects.map(aspect => `
+          <tr>
+            <td><strong>${aspect.label}</strong></td>
+            <td>${aspect.pages}</td>
+            <td>${aspect.sentences}</td>
+            <td><span class="score-value ${aspect.classification}">${aspect.score.toFixed(2)}</span></td>
+            <td><span class="badge ${aspect.classification}">${CLASSIFICATION_LABELS[aspect.classification]}</span><div class="aspect-distribution">${aspect.distribution.positive} favorable · ${aspect.distribution.neutral} neutral · ${aspect.distribution.negative} unfavorable</div></td>
+            <td>
+              ${aspect.examples.positive.length > 0 ? `<ul class="aspect-examples">${examples(aspect.examples.positive, 'positive')}</ul>` : ''}
+              ${aspect.examples.negative.length > 0 ? `<ul class="aspect-examples">${examples(aspect.examples.negative, 'negative')}</ul>` : ''}
+            </td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>`;
+  }
+  
+  // Page sentiment per detected language, each scored with its own lexicon
+  function generateLanguageBreakdownSection() {
+    const languages = data.languageBreakdown || [];
+    if (languages.length < 2) return '';
+    
+    return `<div class="insights-section aspects-section">
+      <h2>🌐 Sentiment by Language</h2>
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Language</th>
+            <th>Pages</th>
+            <th>Avg Score</th>
+            <th>Sentiment</th>
+            <th>Lexicon</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${languages.map(language => `
+          <tr>
+            <td><strong>${language.name}</strong></td>
+            <td>${language.pages}</td>
+            <td><span class="score-value ${language.classification}">${language.score.toFixed(2)}</span></td>
+            <td><span class="badge ${language.classification}">${CLASSIFICATION_LABELS[language.classification]}</span><div class="aspect-distribution">${language.distribution.positive} favorable · ${language.distribution.neutral} neutral · ${language.distribution.negative} unfavorable${language.distribution.mixed > 0 ? ` · ${language.distribution.mixed} mixed` : ''}</div></td>
+            <td>${LANGUAGE_NAMES[language.lexicon] || language.lexicon || ''}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>`;
+  }
+  
+  // Break failed fetches down by error type (dead backlinks first: they are lost links)
+  function generateErrorsSection() {
+    const failed = results.filter(r => r.status === 'error');
+    if (failed.length === 0) return '';
+    
+    const byType = {};
+    failed.forEach(r => {
+      const type = r.errorType || 'unknown';
+      if (!byType[type]) byType[type] = [];
+      byType[type].push(r);
+    });
+    const types = Object.keys(byType).sort((a, b) =>
+      (a === 'dead-link' ? -1 : b === 'dead-link' ? 1 : byType[b].length - byType[a].length)
+    );
+    
+    return `<div class="results skipped-section">
+            <h2>⚠️ Fetch Errors by Type (${failed.length})</h2>
+            ${byType['dead-link'] ? `<p class="skipped-note"><strong>${byType['dead-link'].length} lost backlink${byType['dead-link'].length > 1 ? 's' : ''}:</strong> the referring page no longer exists. Consider asking the site owner to restore or redirect it.</p>` : ''}
+            <table class="results-table">
+                <thead>
+                    <tr>
+                        <th>Error Type</th>
+                        <th>Count</th>
+                        <th>URLs</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${types.map(type => `
+                    <tr>
+                        <td><span class="badge error">${ERROR_TYPES[type] || type}</span></td>
+                        <td>${byType[type].length}</td>
+                        <td>
+                            <ul>
+                                ${byType[type].map(r => `<li><a href="${escapeHtml(r.url)}" target="_blank">${escapeHtml(r.url)}</a>${r.httpStatus ? ` (HTTP ${r.httpStatus})` : ''}</li>`).join('')}
+                            </ul>
+                        </td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>`;
+  }
+  
+  // List pages we did not fetch because robots.txt disallows our bot
+  function generateRobotsSection() {
+    const blocked = results.filter(r => r.status === 'blocked-by-robots');
+    if (blocked.length === 0) return '';
+    
+    return `<div class="results skipped-section">
+            <h2>⊘ Skipped by robots.txt (${blocked.length})</h2>
+            <p class="skipped-note">These backlink pages disallow our crawler in robots.txt, or ask for a Crawl-delay above the limit, and were not fetched or analyzed.</p>
+            <ul>
+                ${blocked.map(r => `<li><a href="${escapeHtml(r.url)}" target="_blank">${escapeHtml(r.url)}</a> (${escapeHtml(r.error)})</li>`).join('')}
+            </ul>
+        </div>`;
+  }
+  
+  // List pages skipped by the recency filter (published before the cutoff, or undated with --undated=skip)
+  function generateDateRangeSection() {
+    const outside = results.filter(r => r.status === 'outside-date-range');
+    if (outside.length === 0) return '';
+    
+    return `<div class="results skipped-section">
+            <h2>📅 Skipped: Outside Date Range (${outside.length})</h2>
+            <p class="skipped-note">These pages were fetched, but were published before ${summary.publishedAfter} or have no publish date (see <code>--max-age</code>, <code>--published-after</code> and <code>--undated</code>).</p>
+            <ul>
+                ${outside.map(r => `<li><a href="${escapeHtml(r.url)}" target="_blank">${escapeHtml(r.url)}</a> (${escapeHtml(r.error)})</li>`).join('')}
+            </ul>
+        </div>`;
+  }
+  
+  // List pages that several backlink rows collapsed into (URL variants, redirects, rel=canonical)
+  function generateDuplicatesSection() {
+    const collapsed = results.filter(r => r.status !== 'duplicate' && r.collapsed && r.collapsed.rows > 1);
+    if (collapsed.length === 0) return '';
+    
+    return `<div class="results skipped-section">
+            <h2>⧉ Duplicate URLs Collapsed (${collapsed.length})</h2>
+            <p class="skipped-note">These pages were analyzed once for several backlink rows: URL variants (http/https, www., trailing slashes, tracking parameters, AMP, fragments) are grouped before fetching, and pages that redirect to or name as canonical a page already analyzed are merged after fetching (see <code>config/url-rules.json</code>).</p>
+            <ul>
+                ${collapsed.map(r => `<li><a href="${escapeHtml(r.url)}" target="_blank">${escapeHtml(r.url)}</a>: ${formatCollapsed(r.collapsed)}
+                    <ul>${r.collapsed.variants.map(variant => `<li>${escapeHtml(variant)}</li>`).join('')}</ul>
+                </li>`).join('')}
+            </ul>
+        </div>`;
+  }
+  
+  // List pages skipped because their detected language is not one the run analyzes
+  function generateLanguageSection() {
+    const other = results.filter(r => r.status === 'other-language');
+    if (other.length === 0) return '';
+    
+    return `<div class="results skipped-section">
+            <h2>🌐 Skipped: Other Languages (${other.length})</h2>
+            <p class="skipped-note">These pages were fetched, but their text was detected as a language this run does not analyze (see <code>--languages</code>).</p>
+            <ul>
+                ${other.map(r => `<li><a href="${escapeHtml(r.url)}" target="_blank">${escapeHtml(r.url)}</a> (${formatLanguage(r.language)})</li>`).join('')}
+            </ul>
+        </div>`;
+  }
+  
   // Generate HTML
   const html = `<!DOCTYPE html>
 <html lang="en">
@@ -190,6 +433,10 @@ function generateHTMLReport(data, outputPath) {
             background: linear-gradient(90deg, #ef4444, #dc2626);
         }
         
+        .bar-fill.mixed {
+            background: linear-gradient(90deg, #f59e0b, #d97706);
+        }
+        
         .results {
             padding: 40px;
         }
@@ -264,6 +511,11 @@ function generateHTMLReport(data, outputPath) {
             color: #991b1b;
         }
         
+        .badge.mixed {
+            background: #ffedd5;
+            color: #9a3412;
+        }
+        
         .badge.error {
             background: #fef3c7;
             color: #92400e;
@@ -290,6 +542,39 @@ function generateHTMLReport(data, outputPath) {
             color: #92400e;
         }
         
+        .skipped-section {
+            border-top: 1px solid #e5e7eb;
+        }
+        
+        .skipped-section ul {
+            margin-left: 20px;
+            font-size: 0.9em;
+        }
+        
+        .skipped-section a {
+            color: #667eea;
+        }
+        
+        .skipped-note {
+            color: #6b7280;
+            margin-bottom: 10px;
+        }
+        
+        .aspect-distribution {
+            color: #6b7280;
+            font-size: 0.8em;
+            margin-top: 4px;
+        }
+        
+        .aspect-examples {
+            margin-left: 18px;
+            font-size: 0.85em;
+        }
+        
+        .aspect-examples + .aspect-examples {
+            margin-top: 6px;
+        }
+        
         .footer {
             padding: 20px 40px;
             background: #f9fafb;
@@ -320,6 +605,25 @@ function generateHTMLReport(data, outputPath) {
             color: #6b7280;
         }
         
+        .score-value.mixed {
+            color: #d97706;
+        }
+        
+        .mention-breakdown {
+            margin-top: 6px;
+            font-size: 0.8em;
+        }
+        
+        .mention-breakdown ul {
+            margin: 4px 0 0 16px;
+            padding: 0;
+        }
+        
+        .mention-breakdown li {
+            margin-bottom: 4px;
+            color: #4b5563;
+        }
+        
         .executive-overview {
             padding: 40px;
             background: #f9fafb;
@@ -359,6 +663,24 @@ function generateHTMLReport(data, outputPath) {
             line-height: 1.6;
         }
         
+        .metrics-cell {
+            font-size: 0.85em;
+            white-space: nowrap;
+        }
+        
+        .anchor-text {
+            color: #6b7280;
+            white-space: normal;
+            margin-top: 4px;
+        }
+        
+        .page-title {
+            font-weight: 600;
+            color: #374151;
+            white-space: normal;
+            margin-top: 4px;
+        }
+        
         .suggestions-cell {
             font-size: 0.85em;
             max-width: 400px;
@@ -374,6 +696,72 @@ function generateHTMLReport(data, outputPath) {
             line-height: 1.4;
         }
         
+        .critical-risks {
+            padding: 30px 40px;
+            background: #fef2f2;
+            border-bottom: 3px solid #dc2626;
+        }
+        
+        .critical-risks h2 {
+            color: #991b1b;
+            margin-bottom: 15px;
+        }
+        
+        .critical-risks ul {
+            margin-left: 20px;
+        }
+        
+        .critical-risks li {
+            margin-bottom: 12px;
+        }
+        
+        .critical-risks a {
+            color: #991b1b;
+        }
+        
+        .override-applied {
+            background: #f5f3ff;
+        }
+        
+        .override-stale {
+            background: #fffbeb;
+        }
+        
+        .override-note {
+            margin-top: 6px;
+            font-size: 0.8em;
+            white-space: nowrap;
+        }
+        
+        .override-note.applied {
+            color: #6d28d9;
+        }
+        
+        .override-note.stale {
+            color: #b45309;
+            font-weight: 600;
+        }
+        
+        .risk-level {
+            margin-top: 6px;
+            font-size: 0.8em;
+            font-weight: 600;
+            white-space: nowrap;
+        }
+        
+        .risk-level.critical,
+        .risk-level.high {
+            color: #dc2626;
+        }
+        
+        .risk-level.medium {
+            color: #d97706;
+        }
+        
+        .risk-level.low {
+            color: #6b7280;
+        }
+        
         .insights-section {
             padding: 40px;
             background: #f9fafb;
@@ -427,12 +815,20 @@ function generateHTMLReport(data, outputPath) {
             <h1>Backlink Sentiment Analysis Report</h1>
             <p>Brand: <strong>${searchTerm}</strong></p>
             <p>Generated: ${new Date(timestamp).toLocaleString()}</p>
+            ${data.lexicons ? `<p>Lexicons: ${[data.lexicons, ...Object.values(data.languageLexicons || {})].map(formatLexiconPacks).join('; ')}</p>` : ''}
+            ${data.model ? `<p>Model: ${formatModel(data.model)} (${data.engine} engine)</p>` : ''}
         </div>
         
+        ${generateCriticalRisksSection()}
+        
         ${generateExecutiveOverview()}
         
         ${generateInsightsSection()}
         
+        ${generateAspectsSection()}
+        
+        ${generateLanguageBreakdownSection()}
+        
         <div class="summary">
             <div class="stats-grid">
                 <div class="stat-card">
@@ -451,6 +847,51 @@ function generateHTMLReport(data, outputPath) {
                     <h3>Errors</h3>
                     <div class="value">${summary.errors}</div>
                 </div>
+                ${summary.withAmbiguousMentions > 0 ? `
+                <div class="stat-card">
+                    <h3>Ambiguous Mentions</h3>
+                    <div class="value">${summary.withAmbiguousMentions}</div>
+                </div>` : ''}
+                ${summary.overridden + summary.staleOverrides > 0 ? `
+                <div class="stat-card">
+                    <h3>Analyst Overrides</h3>
+                    <div class="value">${summary.overridden}</div>
+                    ${summary.staleOverrides > 0 ? `<div class="anchor-text">${summary.staleOverrides} stale</div>` : ''}
+                    ${summary.unverifiedOverrides > 0 ? `<div class="anchor-text">${summary.unverifiedOverrides} without contentHash</div>` : ''}
+                </div>` : ''}
+                ${summary.linksLive + summary.linksMissing > 0 ? `
+                <div class="stat-card">
+                    <h3>Links Not Found</h3>
+                    <div class="value">${summary.linksMissing}</div>
+                </div>` : ''}
+                <div class="stat-card">
+                    <h3>Blocked by robots.txt</h3>
+                    <div class="value">${summary.blockedByRobots || 0}</div>
+                </div>
+                ${summary.otherLanguage > 0 ? `
+                <div class="stat-card">
+                    <h3>Other Languages</h3>
+                    <div class="value">${summary.otherLanguage}</div>
+                    <div class="anchor-text">${formatLanguageCounts(summary.languages)}</div>
+                </div>` : ''}
+                ${summary.collapsedRows > 0 ? `
+                <div class="stat-card">
+                    <h3>Duplicate Rows Collapsed</h3>
+                    <div class="value">${summary.collapsedRows}</div>
+                    <div class="anchor-text">${summary.sourceRows} source rows → ${summary.uniquePages} pages${summary.duplicates > 0 ? ` · ${summary.duplicates} merged after fetching` : ''}</div>
+                </div>` : ''}
+                ${summary.rated > 0 ? `
+                <div class="stat-card">
+                    <h3>Rated Pages</h3>
+                    <div class="value">${summary.rated}</div>
+                    <div class="anchor-text">average ★ ${summary.averageStars.toFixed(1)}/5</div>
+                </div>` : ''}
+                ${summary.publishedAfter ? `
+                <div class="stat-card">
+                    <h3>Outside Date Range</h3>
+                    <div class="value">${summary.outsideDateRange || 0}</div>
+                    <div class="anchor-text">published before ${summary.publishedAfter}${summary.undated > 0 ? ` · ${summary.undated} analyzed undated` : ''}</div>
+                </div>` : ''}
                 <div class="stat-card">
                     <h3>Average Score</h3>
                     <div class="value">${avgScore.toFixed(2)}</div>
@@ -497,6 +938,18 @@ function generateHTMLReport(data, outputPath) {
                         </div>
                     </div>
                 </div>
+                ${mixed > 0 ? `
+                <div class="bar-item">
+                    <div class="bar-label">
+                        <span>Mixed</span>
+                        <span>${mixed} URLs (${mixedPercent}%)</span>
+                    </div>
+                    <div class="bar-container">
+                        <div class="bar-fill mixed" style="width: ${mixedPercent}%">
+                            ${mixedPercent}%
+                        </div>
+                    </div>
+                </div>` : ''}
             </div>
             ` : ''}
         </div>
@@ -512,6 +965,7 @@ function generateHTMLReport(data, outputPath) {
                         <th>Sentiment</th>
                         <th>Score</th>
                         <th>Brand Mention</th>
+                        <th>Link Metrics</th>
                         <th>Rationale</th>
                         <th>Improvement Suggestions</th>
                         <th>Excerpt</th>
@@ -519,25 +973,44 @@ function generateHTMLReport(data, outputPath) {
                 </thead>
                 <tbody>
                     ${results.filter(result => result.mentionsBrand).map((result, index) => `
-                    <tr>
+                    <tr${result.override ? ` class="override-${result.override.status}"` : ''}>
                         <td>${index + 1}</td>
                         <td class="url-cell">
-                            <a href="${result.url}" target="_blank" title="${result.url}">${result.url}</a>
+                            <a href="${escapeHtml(result.url)}" target="_blank" title="${escapeHtml(result.url)}">${escapeHtml(result.url)}</a>
+                            ${result.metadata && result.metadata.title ? `<div class="page-title" title="${escapeHtml(result.metadata.description)}">${escapeHtml(result.metadata.title)}</div>` : ''}
+                            ${formatMetadata(result.metadata) ? `<div class="anchor-text">📅 ${escapeHtml(formatMetadata(result.metadata))}</div>` : ''}
+                            ${result.metadata && result.metadata.canonicalUrl && result.metadata.canonicalUrl !== result.url ? `<div class="anchor-text">Canonical: <a href="${escapeHtml(result.metadata.canonicalUrl)}" target="_blank">${escapeHtml(result.metadata.canonicalUrl)}</a></div>` : ''}
+                            ${result.language ? `<div class="anchor-text">🌐 ${formatLanguage(result.language)}</div>` : ''}
+                            ${formatCollapsed(result.collapsed) ? `<div class="anchor-text" title="${escapeHtml(result.collapsed.variants.join('\n'))}">⧉ ${formatCollapsed(result.collapsed)}</div>` : ''}
                         </td>
                         <td>
                             <span class="badge ${result.status}">${result.status}</span>
                         </td>
                         <td>
-                            ${result.classification ? `<span class="badge ${result.classification}">${result.classification === 'negative' ? '🔴 Unfavorable' : result.classification === 'neutral' ? '🟡 Neutral' : '🟢 Favorable'}</span>` : '-'}
+                            ${result.classification ? `<span class="badge ${result.classification}">${CLASSIFICATION_LABELS[result.classification] || CLASSIFICATION_LABELS.neutral}</span>` : '-'}
+                            ${result.override ? `<div class="override-note ${result.override.status}" title="${escapeHtml(formatOverride({ status: result.override.status, entry: result.override, verified: result.override.verified }))}">${result.override.status === 'stale' ? `⚠ Override stale (was ${CLASSIFICATION_LABELS[result.override.classification]})` : `✎ Analyst override (computed ${CLASSIFICATION_LABELS[result.override.computedClassification]})${result.override.verified ? '' : ' · unverified'}`}</div>` : ''}
+                            ${result.riskLevel && result.riskLevel !== 'none' ? `<div class="risk-level ${result.riskLevel}" title="${formatRisks(result.risks)}">${RISK_LEVEL_LABELS[result.riskLevel]} risk</div>` : ''}
+                            ${result.ratings ? `<div class="anchor-text" title="${escapeHtml(result.ratings.subjects.join(', '))}">${formatRatings(result.ratings)}</div>` : ''}
                         </td>
                         <td>
                             ${result.sentiment ? `<span class="score-value ${result.classification}">${result.sentiment.score}</span>` : '-'}
+                            ${result.sentiment && result.sentiment.engines ? `<div class="anchor-text">${formatEngineScores(result.sentiment.engines)}</div>` : ''}
+                            ${result.sentiment && result.sentiment.confidence !== undefined ? `<div class="anchor-text">confidence ${result.sentiment.confidence.toFixed(2)}</div>` : ''}
                         </td>
                         <td>
                             ${result.mentionsBrand ? `✓ Yes (${result.mentionCount}x)` : '✗ No'}
+                            ${result.mentionRegions ? `<div class="anchor-text">${describeMentionRegions(result.mentionRegions)}</div>` : ''}
+                            ${result.mentionsBrand && result.mentionConfidence !== null ? `<div class="anchor-text">${formatMentionConfidence(result, summary.ambiguousMode)}</div>` : ''}
+                            ${generateMentionBreakdown(result)}
+                        </td>
+                        <td class="metrics-cell">
+                            ${formatLinkMetrics(result.backlink, getMetricLabels(result.backlink && result.backlink.source)) || '-'}
+                            ${result.backlink && result.backlink.anchor ? `<div class="anchor-text">Anchor: "${escapeHtml(result.backlink.anchor)}"</div>` : ''}
+                            ${result.linkCheck ? `<div class="anchor-text">${formatLinkStatus(result.linkCheck)}</div>` : ''}
+                            ${result.linkCheck && result.linkCheck.live ? `<div class="anchor-text">On page: "${escapeHtml(result.linkCheck.anchors[0].anchorText)}"</div>` : ''}
                         </td>
                         <td style="font-size: 0.85em; max-width: 400px;">
-                            ${result.rationale || '-'}
+                            ${escapeHtml(result.rationale) || '-'}
                         </td>
                         <td class="suggestions-cell">
                             ${result.suggestions && result.suggestions.length > 0
@@ -547,9 +1020,9 @@ function generateHTMLReport(data, outputPath) {
                         </td>
                         <td>
                             ${result.excerpts && result.excerpts.length > 0 
-                                ? `<div class="excerpt"><em>"${result.excerpts[0].replace(new RegExp(searchTerm, 'gi'), match => `<span class="highlight">${match}</span>`)}"</em></div>`
+                                ? `<div class="excerpt"><em>"${highlightMentions(result.excerpts[0], brandMatcher)}"</em></div>`
                                 : result.error 
-                                    ? `<div class="error-message">${result.error}</div>`
+                                    ? `<div class="error-message">${escapeHtml(result.error)}</div>`
                                     : '-'
                             }
                         </td>
@@ -559,6 +1032,13 @@ function generateHTMLReport(data, outputPath) {
             </table>
         </div>
         
+        ${generateErrorsSection()}
+        
+        ${generateRobotsSection()}
+        ${generateLanguageSection()}
+${generateDateRangeSection()}
+        ${generateDuplicatesSection()}
+        
         <div class="footer">
             <p>Generated by Backlink Sentiment Analyzer</p>
             <p>Sentiment analysis powered by the Sentiment library</p>
@@ -571,5 +1051,5 @@ function generateHTMLReport(data, outputPath) {
   fs.writeFileSync(outputPath, html, 'utf8');
 }
 
-module.exports = { generateHTMLReport };
+module.exports = { generateHTMLReport, escapeHtml };
 
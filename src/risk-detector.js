@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { findModifiers, termOffsets } = require('./indicator-scorer');
+
+// Risk taxonomy: categories (safety, legal, ...) mapping terms to severity levels
+const RISKS_FILE = path.join(__dirname, '..', 'config', 'risks.json');
+
+// Severity levels, least to most severe
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Report labels per page risk level
+const RISK_LEVEL_LABELS = {
+  critical: '🚨 Critical',
+  high: '🔺 High',
+  medium: '🔸 Medium',
+  low: '▫️ Low',
+  none: 'None',
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const severityRank = (severity) => SEVERITY_LEVELS.indexOf(severity);
+
+// Read the risk taxonomy: { version, categories: [{ id, label, terms: { term: severity } }] }
+function loadRiskTaxonomy(file = RISKS_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Risk taxonomy not found: ${file}`);
+  }
+  const taxonomy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const categories = (taxonomy.categories || []).map(category => ({
+    id: category.id,
+    label: category.label || category.id,
+    terms: category.terms || {},
+  }));
+  categories.forEach(category => {
+    Object.entries(category.terms).forEach(([term, severity]) => {
+      if (severityRank(severity) === -1) {
+        throw new Error(`Risk term "${term}" in ${category.id} has unknown severity "${severity}" (use ${SEVERITY_LEVELS.join(', ')})`);
+      }
+    });
+  });
+  return { version: taxonomy.version || '0.0.0', categories };
+}
+
+// Build a risk detector. Negated terms ("no recall", "without injuries") are not risks;
+// hedged ones ("alleged fraud") drop one severity level. Terms inside one of the page
+// lexicon's neutralizers ("risk of death" in pharma coverage) are not risks either.
+function createRiskDetector(taxonomy) {
+  const terms = taxonomy.categories.flatMap(category =>
+    Object.entries(category.terms).map(([term, severity]) => ({
+      term: term.toLowerCase(),
+      severity,
+      category: category.id,
+      label: category.label,
+    }))
+  );
+
+  // Risks raised by one sentence; longer phrases win over the words inside them. Negators and
+  // hedges are read with the lexicon's language rules (English when it has none).
+  function scan(sentence, lexicon) {
+    const lowered = sentence.toLowerCase();
+    const candidates = [];
+    terms.forEach(entry => {
+      const regex = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(entry.term)}(?![\\p{L}\\p{N}])`, 'gu');
+      for (const match of lowered.matchAll(regex)) {
+        candidates.push({ ...entry, start: match.index, end: match.index + match[0].length });
+      }
+    });
+
+    const neutral = ((lexicon && lexicon.neutralizers) || []).flatMap(term => termOffsets(lowered, term));
+
+    candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+    const taken = [...neutral];
+    candidates.forEach(candidate => {
+      if (!taken.some(t => candidate.start < t.end && candidate.end > t.start)) taken.push(candidate);
+    });
+
+    const risks = [];
+    taken.filter(match => match.term).sort((a, b) => a.start - b.start).forEach(match => {
+      const { negator, hedge } = findModifiers(sentence, match.start, lexicon && lexicon.rules);
+      if (negator) return;
+      const severity = hedge ? SEVERITY_LEVELS[Math.max(0, severityRank(match.severity) - 1)] : match.severity;
+      risks.push({ category: match.category, label: match.label, term: match.term, severity, hedge });
+    });
+    return risks;
+  }
+
+  return {
+    // Page risk from its brand sentences: { riskLevel, risks: [{ category, label, term, severity, hedge, sentence }] }
+    // sorted most severe first; riskLevel is 'none' when nothing was found. `lexicon` is the
+    // page language's indicator lexicon (neutralizers and negation rules).
+    detect(sentences, lexicon = null) {
+      const risks = [];
+      sentences.forEach(sentence => {
+        scan(sentence, lexicon).forEach(risk => {
+          if (risks.some(r => r.term === risk.term && r.category === risk.category && r.severity === risk.severity)) return;
+          risks.push({ ...risk, sentence: sentence.length > 300 ? `${sentence.slice(0, 300)}...` : sentence });
+        });
+      });
+      risks.sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+      return { riskLevel: risks.length > 0 ? risks[0].severity : 'none', risks };
+    },
+  };
+}
+
+// "safety: fatal, recall; legal: lawsuit" for rationales and report cells
+function formatRisks(risks, limit = 3) {
+  const byCategory = {};
+  (risks || []).forEach(risk => {
+    if (!byCategory[risk.category]) byCategory[risk.category] = [];
+    const term = risk.hedge ? `${risk.term} (${risk.hedge})` : risk.term;
+    if (!byCategory[risk.category].includes(term)) byCategory[risk.category].push(term);
+  });
+  return Object.entries(byCategory)
+    .map(([category, terms]) => `${category}: ${terms.slice(0, limit).join(', ')}`)
+    .join('; ');
+}
+
+module.exports = {
+  RISKS_FILE,
+  SEVERITY_LEVELS,
+  RISK_LEVEL_LABELS,
+  loadRiskTaxonomy,
+  createRiskDetector,
+  formatRisks
+};
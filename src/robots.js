@@ -0,0 +1,150 @@
+const axios = require('axios');
+
+// Parse robots.txt into user-agent groups with their allow/disallow rules and crawl delay
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text).split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds;
+      }
+    }
+  });
+
+  return groups;
+}
+
+// Pick the group for our bot: a group naming our product token (compared case-insensitively,
+// per RFC 9309) wins over "*"
+function selectGroup(groups, agentToken) {
+  const token = agentToken.toLowerCase();
+  const specific = groups.filter(group => group.agents.includes(token));
+  if (specific.length > 0) {
+    return mergeGroups(specific);
+  }
+  const wildcard = groups.filter(group => group.agents.includes('*'));
+  return wildcard.length > 0 ? mergeGroups(wildcard) : null;
+}
+
+// Combine groups that apply to the same agent (robots.txt may repeat a User-agent)
+function mergeGroups(groups) {
+  const delays = groups.map(group => group.crawlDelay).filter(d => d !== null);
+  return {
+    rules: groups.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+}
+
+// Convert a robots.txt path pattern (with * and $ wildcards) into a regex
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule wins; Allow wins a tie. No matching rule means allowed.
+function isPathAllowed(rules, pathWithQuery) {
+  let best = null;
+  rules.forEach(rule => {
+    if (!patternToRegex(rule.path).test(pathWithQuery)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return best ? best.allow : true;
+}
+
+// Product token used for robots.txt group matching ("MyBot/1.0 (+url)" -> "MyBot")
+function getAgentToken(userAgent) {
+  return userAgent.split(/[\s/]/)[0];
+}
+
+// Create a robots.txt checker that fetches and caches one robots.txt per origin
+function createRobotsChecker({ userAgent, timeout = 10000 }) {
+  const cache = new Map();
+  const agentToken = getAgentToken(userAgent);
+
+  // Fetch robots.txt for an origin. Per RFC 9309, 4xx means no restrictions and
+  // 5xx means the whole site is off limits. Network failures are treated as
+  // unrestricted so the page fetch itself reports the real error.
+  function loadRobots(origin) {
+    if (!cache.has(origin)) {
+      const request = axios.get(`${origin}/robots.txt`, {
+        timeout,
+        headers: { 'User-Agent': userAgent },
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: () => true,
+      })
+        .then(response => {
+          if (response.status >= 500) {
+            return { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+          }
+          if (response.status >= 400) {
+            return { rules: [], crawlDelay: null };
+          }
+          return selectGroup(parseRobotsTxt(response.data), agentToken) || { rules: [], crawlDelay: null };
+        })
+        .catch(() => ({ rules: [], crawlDelay: null }));
+      cache.set(origin, request);
+    }
+    return cache.get(origin);
+  }
+
+  // Check whether our bot may fetch the URL; also reports the host's Crawl-delay in seconds
+  async function check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: true, crawlDelay: null };
+    }
+
+    const robots = await loadRobots(parsed.origin);
+    return {
+      allowed: isPathAllowed(robots.rules, parsed.pathname + parsed.search),
+      crawlDelay: robots.crawlDelay,
+    };
+  }
+
+  return { check };
+}
+
+module.exports = {
+  parseRobotsTxt,
+  isPathAllowed,
+  createRobotsChecker
+};
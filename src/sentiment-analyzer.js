@@ -1,23 +1,216 @@
 const fs = require('fs');
 const csv = require('csv-parser');
 const axios = require('axios');
-const cheerio = require('cheerio');
-const Sentiment = require('sentiment');
-const { generateHTMLReport } = require('./report-generator');
+const { generateHTMLReport, escapeHtml } = require('./report-generator');
 const { generateMarkdownReport } = require('./markdown-generator');
+const { recordFromRow, formatLinkMetrics } = require('./backlink-record');
+const { detectImporter, importRow, getImporter, getMetricLabels } = require('./importers');
+const { runPool, getHostname } = require('./fetch-pool');
+const { createRobotsChecker } = require('./robots');
+const { createPageCache } = require('./page-cache');
+const { ERROR_TYPES, FetchError, withRetry } = require('./fetch-errors');
+const { REGIONS, extractContent } = require('./content-extractor');
+const { resolveTargetDomain, findBacklinkAnchors, formatLinkStatus } = require('./link-locator');
+const { findBrandProfile, defaultBrandProfile, createBrandMatcher } = require('./brand-profile');
+const { summarizeMentions } = require('./disambiguation');
+const { describeModifiers } = require('./indicator-scorer');
+const { DEFAULT_LANGUAGE, buildLexicon, listLexiconLanguages, formatLexiconPacks } = require('./lexicon');
+const { classifyScore } = require('./hybrid-scorer');
+const { CLASSIFICATION_LABELS, formatMentionDistribution } = require('./mention-sentiment');
+const { ASPECTS_FILE, loadAspectTaxonomy, createAspectTagger, summarizeAspects } = require('./aspects');
+const { OVERRIDES_FILE, loadOverrides, contentHash, matchOverride, formatOverride } = require('./overrides');
+const { DEFAULT_REGION_WEIGHTS, DEFAULT_RATING_WEIGHT, createPageScorer } = require('./page-scorer');
+const { DEFAULT_MODEL, loadModel, createTextClassifier, formatModel } = require('./text-classifier');
+const { LANGUAGE_NAMES, createLanguageDetector, parseLanguageList, formatLanguage, formatLanguageCounts, summarizeLanguages } = require('./language-detector');
+const { extractMetadata, resolvePublishedAfter } = require('./page-metadata');
+const { extractStructuredReviews, summarizeRatings, formatRatings } = require('./structured-reviews');
+const { URL_RULES_FILE, loadUrlRules, createUrlNormalizer, collapseBacklinks, groupEquivalentPages } = require('./url-normalizer');
+const { RISKS_FILE, SEVERITY_LEVELS, RISK_LEVEL_LABELS, loadRiskTaxonomy, createRiskDetector, formatRisks } = require('./risk-detector');
+
+// Read a numeric --name=value flag from the command line
+function getNumericFlag(name, defaultValue) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  if (!arg) return defaultValue;
+  const value = Number(arg.split('=')[1]);
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+// Read a string --name=value flag from the command line
+function getStringFlag(name, defaultValue) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : defaultValue;
+}
+
+// Positional arguments (flags like --concurrency=8 are read separately)
+const positionalArgs = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
 
 // Configuration
 const CONFIG = {
-  inputCSV: process.argv[2] || 'sample-urls.csv',
-  outputHTML: process.argv[3] || 'sentiment-report.html',
-  searchTerm: process.argv[4] || 'Cambria',
+  inputCSV: positionalArgs[0] || 'sample-urls.csv',
+  outputHTML: positionalArgs[1] || 'sentiment-report.html',
+  searchTerm: positionalArgs[2] || 'Cambria',
+  brand: getStringFlag('brand', null), // Brand profile id in config/brands (defaults to the search term)
+  // Mentions that may be a homonym or another company: 'flag' counts them but marks them, 'exclude' drops them
+  ambiguous: getStringFlag('ambiguous', 'flag') === 'exclude' ? 'exclude' : 'flag',
+  aspectsFile: getStringFlag('aspects', ASPECTS_FILE), // Aspect taxonomy (product, pricing, safety, ...)
+  risksFile: getStringFlag('risks', RISKS_FILE), // Risk categories and term severities
+  overridesFile: getStringFlag('overrides', OVERRIDES_FILE), // Analyst classifications keyed by URL
+  urlRulesFile: getStringFlag('url-rules', URL_RULES_FILE), // Which URL variants count as the same page
+  // Detected page languages to analyze, comma-separated ('all' analyzes every language).
+  // Defaults to the languages with a lexicon in config/lexicons.
+  languages: parseLanguageList(getStringFlag('languages', listLexiconLanguages().join(','))),
+  // Pages detected below this confidence are analyzed whatever their language
+  minLanguageConfidence: getNumericFlag('min-language-confidence', 0.5),
+  // Recency filter: only pages published on or after --published-after=YYYY-MM-DD, or within --max-age=12m
+  publishedAfter: getStringFlag('published-after', null),
+  maxAge: getStringFlag('max-age', null),
+  // Pages without a publish date under a recency filter: 'keep' analyzes them, 'skip' leaves them out
+  undated: getStringFlag('undated', 'keep') === 'skip' ? 'skip' : 'keep',
+  // Industry lexicon packs in config/lexicons, comma-separated (defaults to the brand profile's list)
+  lexicons: getStringFlag('lexicons', null),
+  // Client site the backlinks point at (used when the export has no target URL column)
+  targetDomain: getStringFlag('target-domain', null),
   maxUrls: 100, // Limit to top 100 URLs (after filtering)
   maxUrlsToFetch: 150, // Fetch more URLs to account for stock/finance filtering
   requestTimeout: 10000,
-  delayBetweenRequests: 1000,
+  concurrency: getNumericFlag('concurrency', 5), // Pages fetched in parallel across all hosts
+  perHostConcurrency: getNumericFlag('per-host-concurrency', 1), // Parallel requests to a single host
+  perHostDelay: getNumericFlag('per-host-delay', 1000), // Minimum ms between requests to the same host
+  maxCrawlDelay: getNumericFlag('max-crawl-delay', 30), // Hosts asking for a longer robots.txt Crawl-delay (seconds) are skipped
+  // Honest bot identity, also used to pick our group in robots.txt
+  userAgent: getStringFlag('user-agent', 'BacklinkSentimentBot/1.0 (+https://github.com/AndreiAlexandruParaschiv/off-site-sentiment)'),
+  cacheDir: '.cache/pages',
+  cacheTTL: getNumericFlag('cache-ttl', 24 * 7) * 60 * 60 * 1000, // Hours before a cached page is revalidated
+  offline: process.argv.includes('--offline'), // Rebuild results from the page cache only, no network
+  retries: getNumericFlag('retries', 2), // Retries for transient failures (timeouts, 429, 5xx)
+  retryBaseDelay: 1000, // First backoff in ms, doubled on each retry
+  maxRetryAfter: 60000, // Give up instead of waiting longer than this for a Retry-After
+  // How much brand sentiment in each page region counts (sidebars/banners are ignored by default)
+  regionWeights: DEFAULT_REGION_WEIGHTS,
+  // Share of the combined score from the domain indicators vs. the AFINN word list
+  engineWeights: {
+    indicators: getNumericFlag('indicator-weight', 0.6),
+    afinn: getNumericFlag('afinn-weight', 0.4),
+  },
+  // 'rules' (indicators + AFINN), 'model' (trained classifier) or 'ensemble' (both blended)
+  engine: getStringFlag('engine', 'rules'),
+  modelFile: getStringFlag('model', DEFAULT_MODEL), // Trained classifier (see "npm run train")
+  modelWeight: Math.min(1, getNumericFlag('model-weight', 0.5)), // Model share of the score in the ensemble
+  // Share of the page score from structured star ratings of the brand (0 ignores them)
+  ratingWeight: Math.min(1, getNumericFlag('rating-weight', DEFAULT_RATING_WEIGHT)),
   requireMention: false,
 };
 
+// Brand profile: names, products, tickers and executives that count as mentions
+const brandProfile = findBrandProfile(CONFIG.brand || CONFIG.searchTerm) || defaultBrandProfile(CONFIG.searchTerm);
+const brandMatcher = createBrandMatcher(brandProfile, { ambiguous: CONFIG.ambiguous });
+
+// Indicator terms, weights and neutralizers: the general pack plus the brand's industry packs,
+// in English and in every other analyzed language with packs in config/lexicons/<language>
+let lexicon;
+const languageLexicons = {};
+try {
+  const packNames = CONFIG.lexicons ? CONFIG.lexicons.split(',').map(name => name.trim()) : brandProfile.lexicons;
+  lexicon = buildLexicon(packNames);
+  const lexiconLanguages = listLexiconLanguages();
+  (CONFIG.languages || lexiconLanguages)
+    .filter(language => language !== DEFAULT_LANGUAGE && lexiconLanguages.includes(language))
+    .forEach(language => {
+      languageLexicons[language] = buildLexicon(packNames, undefined, language);
+    });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Tags brand sentences with the aspects they discuss
+let aspectTaxonomy;
+try {
+  aspectTaxonomy = loadAspectTaxonomy(CONFIG.aspectsFile);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+const aspectTagger = createAspectTagger(aspectTaxonomy, brandProfile);
+
+// Maps risk terms in brand sentences to categories and severity levels
+let riskTaxonomy;
+try {
+  riskTaxonomy = loadRiskTaxonomy(CONFIG.risksFile);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+const riskDetector = createRiskDetector(riskTaxonomy);
+
+// Naive Bayes classifier trained on analyst labels, only loaded for the model/ensemble engines
+let model = null;
+let pageScorer;
+try {
+  if (CONFIG.engine !== 'rules') model = loadModel(CONFIG.modelFile);
+
+  // Indicator + AFINN (and model) page scoring with the run's lexicon, weights, aspects and risks
+  pageScorer = createPageScorer({
+    brandMatcher,
+    lexicon,
+    languageLexicons,
+    aspectTagger,
+    riskDetector,
+    engineWeights: CONFIG.engineWeights,
+    regionWeights: CONFIG.regionWeights,
+    engine: CONFIG.engine,
+    classifier: model ? createTextClassifier(model) : null,
+    modelWeight: CONFIG.modelWeight,
+    ratingWeight: CONFIG.ratingWeight,
+  });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Oldest publish date analyzed (ISO day), or null when no recency filter is set
+let publishedAfter;
+try {
+  publishedAfter = resolvePublishedAfter(CONFIG);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Character trigram language identifier built from the samples in config/languages
+let languageDetector;
+try {
+  languageDetector = createLanguageDetector();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Manual labels from earlier reviews, re-applied while the page content is unchanged
+let overrides;
+try {
+  overrides = loadOverrides(CONFIG.overridesFile);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Groups backlink URL variants (http/https, www., tracking parameters, AMP, ...) into one page
+let urlNormalizer;
+try {
+  urlNormalizer = createUrlNormalizer(loadUrlRules(CONFIG.urlRulesFile));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// robots.txt is fetched once per host; Crawl-delay values feed the fetch pool's host spacing
+const robots = createRobotsChecker({ userAgent: CONFIG.userAgent, timeout: CONFIG.requestTimeout });
+const crawlDelays = new Map();
+
+// Fetched HTML is cached on disk so re-scoring runs can skip the network
+const pageCache = createPageCache({ dir: CONFIG.cacheDir, ttl: CONFIG.cacheTTL });
+
 // Stock and finance domains to skip (not real brand content)
 const STOCK_FINANCE_DOMAINS = [
   'finance.yahoo.com',
@@ -84,297 +277,132 @@ function isExcludedDomain(url) {
   }
 }
 
-// Language-specific domains/paths to exclude
-const EXCLUDED_LANGUAGES = [
-  '.ua/',           // Ukrainian sites
-  '24tv.ua',        // Ukrainian news
-  '.it/wiki',       // Italian Wikipedia
-  'it.wikipedia',   // Italian Wikipedia
-  '/hl/',           // Language parameter
-  '?hl=',           // Language query parameter
-  '&hl=',           // Language query parameter
-  '/ua/',           // Ukrainian language path
-  '/it/',           // Italian language path (in domain or path)
-  '/tw/',           // Taiwanese/Chinese language path
-  '/jp/',           // Japanese language path
-  '/kr/',           // Korean language path
-  '/th/',           // Thai language path
-  '/ar/',           // Arabic language path
-  '/fr-ma/',        // French Morocco
-  '/es-mx/',        // Spanish Mexico
-  '/pl/',           // Polish language path
-  '/pt/',           // Portuguese language path
-  'ru.wikipedia',   // Russian Wikipedia
-  'fr.wikipedia',   // French Wikipedia
-  'de.wikipedia',   // German Wikipedia
-];
-
-// Check if URL is a language-specific page to exclude
-function isExcludedLanguagePage(url) {
-  const urlLower = url.toLowerCase();
-  
-  // Check for excluded language patterns
-  if (EXCLUDED_LANGUAGES.some(pattern => urlLower.includes(pattern))) {
-    return true;
-  }
-  
-  // Check for Italian subdomain (it.domain.com)
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.toLowerCase();
-    if (hostname.startsWith('it.') && hostname !== 'it.com') {
-      return true;
-    }
-  } catch {
-    // Invalid URL, skip
-  }
-  
-  return false;
-}
-
-// Helper function to delay execution
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// Context-aware brand sentiment analyzer for healthcare/pharma
-function analyzeBrandContext(text, brandName) {
-  // Create flexible brand matching (e.g., "WKKellogg" matches "WK Kellogg", "Kellogg's", etc.)
-  const brandVariations = [
-    brandName,
-    brandName.replace(/([A-Z])/g, ' $1').trim(), // "WKKellogg" -> "WK Kellogg"
-    brandName.replace(/^WK/, 'WK '), // Handle WK prefix
-    brandName.replace(/USA?$/i, ''), // Remove USA suffix
-    brandName + "'s", // Add possessive
-    brandName.replace(/^WK/i, '').trim(), // "WKKellogg" -> "Kellogg"
-    brandName.replace(/^WK/i, '').trim() + "'s", // "Kellogg's"
-  ];
-  
-  // Extract sentences containing any brand variation
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
-  const brandRegex = new RegExp(brandVariations.map(v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
-  const brandSentences = sentences.filter(s => brandRegex.test(s));
-  
-  if (brandSentences.length === 0) {
-    return { score: 0, classification: 'neutral', indicators: [] };
-  }
-  
-  const brandContext = brandSentences.join(' ').toLowerCase();
-  
-  // Business-specific POSITIVE indicators (how brand is perceived)
-  const positiveIndicators = [
-    'approved', 'breakthrough', 'effective', 'innovative', 'leading', 'first',
-    'superior', 'successful', 'advance', 'pioneer', 'develop', 'announce',
-    'achieve', 'demonstrate', 'show', 'proven', 'award', 'excellence',
-    'partner', 'collaboration', 'invest', 'expand', 'growth', 'milestone',
-    'benefit', 'improve', 'help', 'treat', 'cure', 'relief', 'solution',
-    // Automotive/promotional terms
-    'limited edition', 'limited version', 'special edition', 'exclusive',
-    'premium', 'launch', 'launched', 'introduced', 'debut', 'unveiled'
-  ];
-  
-  // Business-specific NEGATIVE indicators (actual criticism)
-  // Note: "price" alone is NOT negative - only price criticism phrases
-  const negativeIndicators = [
-    'recall', 'lawsuit', 'sued', 'litigation', 'penalty', 'fine', 'violation',
-    'danger', 'dangerous', 'fatal', 'death', 'harm', 'injury', 'adverse',
-    'fail', 'failed', 'reject', 'denied', 'controversy', 'scandal',
-    'mislead', 'fraud', 'illegal', 'banned', 'prohibit', 'restrict',
-    'shortage', 'unavailable', 'limited availability', 'limited stock', 
-    'concern', 'worried', 'afraid',
-    // Price criticism phrases (not just "price" - that's neutral for car listings)
-    'too expensive', 'overpriced', 'over priced', 'not worth the price',
-    'not worth it', 'too costly', 'too pricey', 'unaffordable', 'expensive',
-    'costly', 'pricey', 'rip off', 'overcharge', 'over charge',
-    'complaint', 'criticism', 'disappointed', 'disappointing'
-  ];
-  
-  // NEUTRAL medical terms (don't count these as negative)
-  const neutralMedical = [
-    'weight loss', 'lose weight', 'obesity', 'overweight', 'diabetes',
-    'side effect', 'adverse', 'patient', 'treatment', 'therapy',
-    'disease', 'condition', 'symptom', 'dose', 'dosage', 'injection'
-  ];
-  
-  // Count indicators in brand context
-  let positiveCount = 0;
-  let negativeCount = 0;
-  const foundPositive = [];
-  const foundNegative = [];
-  
-  // Helper function to create regex for word/phrase matching
-  function createIndicatorRegex(indicator) {
-    // Escape special regex characters
-    const escaped = indicator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    // For multi-word phrases, match the whole phrase; for single words, use word boundaries
-    if (indicator.includes(' ')) {
-      return new RegExp(`\\b${escaped}\\b`, 'gi');
-    } else {
-      return new RegExp(`\\b${escaped}\\b`, 'gi');
-    }
-  }
-  
-  positiveIndicators.forEach(word => {
-    const regex = createIndicatorRegex(word);
-    const matches = brandContext.match(regex);
-    if (matches) {
-      positiveCount += matches.length;
-      if (!foundPositive.includes(word)) foundPositive.push(word);
-    }
-  });
-  
-  negativeIndicators.forEach(word => {
-    const regex = createIndicatorRegex(word);
-    const matches = brandContext.match(regex);
-    if (matches) {
-      negativeCount += matches.length;
-      if (!foundNegative.includes(word)) foundNegative.push(word);
-    }
-  });
-  
-  // Calculate sentiment score based on brand context
-  const score = positiveCount - (negativeCount * 2); // Weight negative more heavily
-  
-  // Classify based on indicators and context
-  let classification = 'neutral';
-  if (score >= 3 || (positiveCount >= 3 && negativeCount === 0)) {
-    classification = 'positive';
-  } else if (score < 0 || negativeCount >= 1) {
-    classification = 'negative';
-  }
-  
-  return {
-    score,
-    classification,
-    positiveCount,
-    negativeCount,
-    positive: foundPositive,
-    negative: foundNegative,
-    brandSentences: brandSentences.length
-  };
-}
-
-// Read URLs from CSV file
+// Read backlink records from CSV file, one per page: rows whose URLs normalize to the same
+// page are collapsed into the first one (see config/url-rules.json)
 async function readURLsFromCSV(filePath) {
   return new Promise((resolve, reject) => {
-    const urls = [];
-    const seenUrls = new Set(); // Track unique URLs
+    const rows = [];
+    let detected = null;
 
     fs.createReadStream(filePath)
       .pipe(csv())
+      .on('headers', (headers) => {
+        // Raw tool exports (Ahrefs, Semrush, ...) are mapped by their importer;
+        // the parser's intermediate file already uses record field names
+        if (!headers.includes('source')) {
+          detected = detectImporter(headers);
+        }
+      })
       .on('data', (row) => {
-        // Try to find URL in common column names (including Ahrefs format)
-        const url = row['Referring page URL'] || row['Referring page URL'] ||
-                   row.url || row.URL || row.Url || row.link || row.Link || Object.values(row)[0];
-
-        if (url && url.trim()) {
-          const cleanUrl = url.trim();
-          // Only add if not already seen (deduplication)
-          if (!seenUrls.has(cleanUrl)) {
-            seenUrls.add(cleanUrl);
-            urls.push(cleanUrl);
-          }
+        let record;
+        if (detected && detected.importer.id !== 'generic') {
+          record = importRow(detected.importer, detected.columns, row);
+        } else {
+          record = recordFromRow(row);
+          record.url = record.url || row.URL || row.Url || row.link || row.Link || Object.values(row)[0];
+          record.source = record.source || 'generic';
+        }
+
+        if (record.url && record.url.trim()) {
+          record.url = record.url.trim();
+          rows.push(record);
         }
       })
       .on('end', () => {
-        console.log(`✓ Loaded ${urls.length} unique URLs from CSV (duplicates removed)`);
-        resolve(urls);
+        const backlinks = collapseBacklinks(rows, urlNormalizer);
+        console.log(`✓ Loaded ${backlinks.length} unique pages from ${rows.length} CSV rows (${rows.length - backlinks.length} duplicates collapsed)`);
+        resolve(backlinks);
       })
       .on('error', reject);
   });
 }
 
-// Fetch page content
+// Fetch page content, serving fresh pages from the cache and revalidating stale ones.
+// Returns { html, finalUrl } where finalUrl is the page's URL after redirects.
 async function fetchPageContent(url) {
-  try {
-    const response = await axios.get(url, {
-      timeout: CONFIG.requestTimeout,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      maxRedirects: 5,
-    });
-    return response.data;
-  } catch (error) {
-    throw new Error(`Failed to fetch: ${error.message}`);
-  }
-}
+  const cached = pageCache.get(url);
+  const fromCache = () => ({ html: cached.html, finalUrl: cached.finalUrl || url });
 
-// Extract text content from HTML
-function extractTextContent(html) {
-  const $ = cheerio.load(html);
+  if (CONFIG.offline) {
+    if (!cached) {
+      throw new FetchError('Failed to fetch: not in page cache (offline mode)', { type: 'not-cached' });
+    }
+    return fromCache();
+  }
 
-  // Remove unwanted elements
-  $('script, style, nav, header, footer, iframe, noscript').remove();
+  if (cached && pageCache.isFresh(cached)) {
+    return fromCache();
+  }
 
-  // Extract text from body
-  const bodyText = $('body').text();
+  // Conditional request so unchanged pages come back as 304 without a body
+  const headers = {
+    'User-Agent': CONFIG.userAgent
+  };
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  // Transient failures are retried with backoff; the final error carries its type and HTTP status
+  const response = await withRetry(() => axios.get(url, {
+    timeout: CONFIG.requestTimeout,
+    headers,
+    maxRedirects: 5,
+    responseType: 'text',
+    validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+  }), {
+    retries: CONFIG.retries,
+    baseDelay: CONFIG.retryBaseDelay,
+    maxRetryAfter: CONFIG.maxRetryAfter,
+    onRetry: (error, attempt, wait) => {
+      console.log(`  ↻ Retry ${attempt}/${CONFIG.retries} for ${url} in ${Math.round(wait / 1000)}s (${error.type})`);
+    },
+  });
 
-  // Clean up whitespace
-  const cleanedText = bodyText
-    .replace(/\s+/g, ' ')
-    .trim();
+  if (response.status === 304) {
+    pageCache.touch(url);
+    return fromCache();
+  }
 
-  return cleanedText;
+  // Node's redirect follower records where the request ended up
+  const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+  pageCache.put(url, response.data, response.headers, finalUrl);
+  return { html: response.data, finalUrl };
 }
 
-// Check if text mentions the search term
-function mentionsSearchTerm(text, searchTerm) {
-  const regex = new RegExp(searchTerm, 'gi');
-  return regex.test(text);
+// Check if text mentions the brand (any profile name, product, executive or ticker)
+function mentionsSearchTerm(text, brandMatcher) {
+  return brandMatcher.test(text);
 }
 
-// Extract excerpts containing the search term (short version for display)
-function extractExcerpts(text, searchTerm, contextLength = 75) {
-  const regex = new RegExp(`(.{0,${contextLength}}${searchTerm}.{0,${contextLength}})`, 'gi');
-  const matches = [];
-  let match;
-
-  while ((match = regex.exec(text)) !== null) {
-    matches.push(match[1].trim());
-  }
-
-  return matches;
+// Extract excerpts around brand mentions (short version for display)
+function extractExcerpts(text, brandMatcher, contextLength = 75) {
+  return extractMentionWindows(text, brandMatcher, contextLength);
 }
 
-// Count how many times the search term appears
-function countMentions(text, searchTerm) {
-  const regex = new RegExp(searchTerm, 'gi');
-  const matches = text.match(regex);
-  return matches ? matches.length : 0;
+// Count how many times the brand is mentioned
+function countMentions(text, brandMatcher) {
+  return brandMatcher.count(text);
 }
 
-// Extract context around brand mentions for sentiment analysis
-function extractBrandContext(text, searchTerm, contextLength = 300) {
-  const regex = new RegExp(`(.{0,${contextLength}}${searchTerm}.{0,${contextLength}})`, 'gi');
-  const contexts = [];
-  let match;
-
-  // Extract all contexts where brand is mentioned
-  while ((match = regex.exec(text)) !== null) {
-    contexts.push(match[1].trim());
-  }
+// Text windows around each mention; mentions already inside the previous window are skipped
+function extractMentionWindows(text, brandMatcher, contextLength) {
+  const windows = [];
+  let coveredUntil = -1;
+
+  brandMatcher.findMentions(text).forEach(mention => {
+    if (mention.index < coveredUntil) return;
+    const start = Math.max(0, mention.index - contextLength);
+    const end = Math.min(text.length, mention.index + mention.length + contextLength);
+    windows.push(text.slice(start, end).trim());
+    coveredUntil = end;
+  });
 
-  // Combine all contexts into one string for analysis
-  return contexts.join(' ');
+  return windows;
 }
 
-// Analyze sentiment focusing on brand context (not used - replaced by context-aware)
-function analyzeSentiment(text, searchTerm) {
-  if (!text || text.trim().length === 0) {
-    return null;
-  }
-
-  // Use context-aware analysis for brand perception
-  const brandAnalysis = analyzeBrandContext(text, searchTerm);
-
-  return {
-    score: brandAnalysis.score,
-    comparative: brandAnalysis.score / Math.max(brandAnalysis.brandSentences, 1),
-    positive: brandAnalysis.positive,
-    negative: brandAnalysis.negative,
-    positiveCount: brandAnalysis.positiveCount,
-    negativeCount: brandAnalysis.negativeCount,
-    classification: brandAnalysis.classification
-  };
+// Extract context around brand mentions for sentiment analysis
+function extractBrandContext(text, brandMatcher, contextLength = 300) {
+  // Combine all contexts into one string for analysis
+  return extractMentionWindows(text, brandMatcher, contextLength).join(' ');
 }
 
 // Classify sentiment based on context analysis
@@ -389,18 +417,57 @@ function generateSentimentRationale(sentimentResult, classification, text) {
   if (!sentimentResult) return '';
 
   const { positive, negative, positiveCount, negativeCount } = sentimentResult;
+  // AFINN words fill in when the domain indicators alone do not explain the classification
+  const positiveWords = [...positive, ...(sentimentResult.afinnPositive || [])];
+  const negativeWords = [...negative, ...(sentimentResult.afinnNegative || [])];
+
+  // Negated and hedged matches explain why a score moved ("no recall" counts in the brand's favor)
+  const modifiers = describeModifiers(sentimentResult);
+  const modifierNote = modifiers ? ` (${modifiers.charAt(0).toUpperCase()}${modifiers.slice(1)}.)` : '';
+
+  // Risk terms are reported whatever the classification: a favorable page can still mention a recall
+  const riskNote = sentimentResult.risks && sentimentResult.risks.length > 0
+    ? ` Risk: ${sentimentResult.riskLevel} (${formatRisks(sentimentResult.risks)}).`
+    : '';
+
+  // Structured star ratings of the brand or its products are part of the score
+  const ratingsNote = sentimentResult.ratings
+    ? ` Rated ${formatRatings(sentimentResult.ratings)} (${sentimentResult.ratings.subjects.join(', ')}).`
+    : '';
+
+  // Brand only rated in review markup: no brand sentences to quote
+  if (sentimentResult.ratings && positiveWords.length + negativeWords.length === 0) {
+    const verdict = { positive: 'Favorable', negative: 'Unfavorable', mixed: 'Mixed' }[classification] || 'Neutral';
+    return `${verdict}: Based on structured ratings.${ratingsNote}${riskNote}`;
+  }
 
   if (classification === 'positive') {
-    const topPositive = positive.slice(0, 3).join(', ');
-    return `Favorable: Brand portrayed favorably (${topPositive}). ${positiveCount} positive indicators.`;
+    const topPositive = [...new Set(positiveWords)].slice(0, 3).join(', ');
+    return `Favorable: Brand portrayed favorably (${topPositive}). ${positiveCount} positive indicators.${modifierNote}${ratingsNote}${riskNote}`;
+  }
+
+  if (classification === 'mixed') {
+    const topPositive = [...new Set(positiveWords)].slice(0, 2).join(', ');
+    const topNegative = [...new Set(negativeWords)].slice(0, 2).join(', ');
+    return `Mixed: Favorable and critical mentions conflict (${topPositive} vs. ${topNegative}). ${formatMentionDistribution(sentimentResult.distribution)}.${modifierNote}${ratingsNote}${riskNote}`;
   }
 
   if (classification === 'negative') {
-    const topNegative = negative.slice(0, 3).join(', ');
-    return `Unfavorable: Critical context detected (${topNegative}). ${negativeCount} concern indicators.`;
+    const topNegative = [...new Set(negativeWords)].slice(0, 3).join(', ');
+    return `Unfavorable: Critical context detected (${topNegative}). ${negativeCount} concern indicators.${modifierNote}${ratingsNote}${riskNote}`;
   }
 
-  return `Neutral: Factual/informational brand mention. ${positiveCount} positive, ${negativeCount} concern indicators.`;
+  return `Neutral: Factual/informational brand mention. ${positiveCount} positive, ${negativeCount} concern indicators.${modifierNote}${ratingsNote}${riskNote}`;
+}
+
+// Count failed results per error type
+function countErrorTypes(errors) {
+  const counts = {};
+  errors.forEach(r => {
+    const type = r.errorType || 'unknown';
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  return counts;
 }
 
 // Generate detailed insights from all results
@@ -430,7 +497,7 @@ function generateDetailedInsights(results, searchTerm) {
       
       if (result.classification) {
         if (!domainSentiments[domain]) {
-          domainSentiments[domain] = { positive: 0, neutral: 0, negative: 0 };
+          domainSentiments[domain] = { positive: 0, neutral: 0, negative: 0, mixed: 0 };
         }
         domainSentiments[domain][result.classification]++;
       }
@@ -460,12 +527,14 @@ function generateDetailedInsights(results, searchTerm) {
     positive: successful.filter(r => r.classification === 'positive').length,
     neutral: successful.filter(r => r.classification === 'neutral').length,
     negative: successful.filter(r => r.classification === 'negative').length,
+    mixed: successful.filter(r => r.classification === 'mixed').length,
     
     // High mention sentiment
     highMentionSentiment: {
       positive: highMentionPages.filter(r => r.classification === 'positive').length,
       neutral: highMentionPages.filter(r => r.classification === 'neutral').length,
       negative: highMentionPages.filter(r => r.classification === 'negative').length,
+      mixed: highMentionPages.filter(r => r.classification === 'mixed').length,
     },
   };
   
@@ -489,6 +558,11 @@ function generateImprovementSuggestions(sentimentResult, classification, url, ex
     }
     suggestions.push('Engage content owner with positive updates/corrections');
     
+  } else if (classification === 'mixed') {
+    suggestions.push('🟠 *Medium Priority*: Respond to the critical mentions on this page');
+    suggestions.push('Ask the content owner to balance criticism with current facts');
+    suggestions.push('Amplify the favorable mentions in outreach');
+    
   } else if (classification === 'neutral') {
     suggestions.push('🟡 *Medium Priority*: Enhance brand perception');
     suggestions.push('Provide compelling brand stories and value propositions');
@@ -500,6 +574,14 @@ function generateImprovementSuggestions(sentimentResult, classification, url, ex
     suggestions.push('Build relationship with content owner');
   }
 
+  // Critical and high risks outrank the sentiment-based priority: one fatality report is not one "pricey"
+  const { riskLevel, risks } = sentimentResult;
+  if (riskLevel === 'critical') {
+    suggestions.unshift(`🚨 *Critical Risk*: Escalate to communications and legal (${formatRisks(risks)})`);
+  } else if (riskLevel === 'high') {
+    suggestions.unshift(`🔺 *High Risk*: Review with communications (${formatRisks(risks)})`);
+  }
+
   return suggestions.slice(0, 3);
 }
 
@@ -512,6 +594,7 @@ function generateOpportunityJSON(reportData) {
   const positive = withBrandMention.filter(r => r.classification === 'positive').length;
   const negative = withBrandMention.filter(r => r.classification === 'negative').length;
   const neutral = withBrandMention.filter(r => r.classification === 'neutral').length;
+  const mixed = withBrandMention.filter(r => r.classification === 'mixed').length;
   
   const avgScore = withBrandMention.length > 0 
     ? withBrandMention.reduce((sum, r) => sum + r.sentiment.score, 0) / withBrandMention.length 
@@ -519,22 +602,52 @@ function generateOpportunityJSON(reportData) {
   
   const positivePercent = withBrandMention.length > 0 ? (positive / withBrandMention.length * 100).toFixed(1) : 0;
   
+  // Dead backlink pages (404/410) and pages that dropped the link are lost links worth reclaiming
+  const deadLinks = results.filter(r => r.errorType === 'dead-link');
+  const missingLinks = results.filter(r => r.linkCheck && !r.linkCheck.live);
+  
+  // Pages raising critical reputational risks (fatalities, fraud, bankruptcy, ...) come first in the guidance
+  const criticalRisks = withBrandMention.filter(r => r.riskLevel === 'critical');
+  
+  // Link tools the analyzed backlinks were imported from
+  const dataSources = [...new Set(results
+    .map(r => r.backlink && r.backlink.source)
+    .filter(Boolean)
+    .map(source => getImporter(source).label))];
+  
   // Build detailed table for suggestions (properly formatted markdown)
   const tableRows = results
     .filter(r => r.status === 'success' && r.mentionsBrand)
     .map(result => {
-      const sentimentBadge = result.classification === 'positive' ? '🟢 Favorable' :
-                             result.classification === 'negative' ? '🔴 Unfavorable' : '🟡 Neutral';
-      const mention = result.mentionsBrand ? `Yes (${result.mentionCount}x)` : 'No';
+      const sentimentBadge = (CLASSIFICATION_LABELS[result.classification] || CLASSIFICATION_LABELS.neutral) +
+        (result.override ? `<br>${result.override.status === 'stale' ? '⚠ override stale' : `✎ analyst override${result.override.verified ? '' : ' (unverified)'}`}` : '');
+      const risk = result.riskLevel && result.riskLevel !== 'none'
+        ? `<br>Risk: ${RISK_LEVEL_LABELS[result.riskLevel]} (${formatRisks(result.risks)})`
+        : '';
+      const mention = result.mentionsBrand
+        ? `Yes (${result.mentionCount}x)${result.ambiguousMentions > 0 ? ` ⚠ ${result.ambiguousMentions} ambiguous` : ''}`
+        : 'No';
+      const breakdown = result.sentiment ? formatMentionDistribution(result.sentiment.distribution) : '';
       const excerpt = result.excerpts && result.excerpts.length > 0 
         ? result.excerpts[0].substring(0, 150).replace(/\|/g, '\\|').replace(/\n/g, ' ') + '...' 
         : '-';
       
-      return `| ${result.url} | ${sentimentBadge} | **${mention}** | ${result.rationale} | _"${excerpt}"_ |`;
+      const metrics = [
+        formatLinkMetrics(result.backlink, getMetricLabels(result.backlink && result.backlink.source)),
+        formatLinkStatus(result.linkCheck)
+      ].filter(Boolean).join('<br>') || '-';
+      // The table mixes Markdown with <br>, so anchor, excerpt and rationale (which quotes
+      // review-markup product names) are HTML-escaped
+      const anchor = result.backlink && result.backlink.anchor
+        ? escapeHtml(result.backlink.anchor).replace(/\|/g, '\\|').replace(/\n/g, ' ')
+        : '-';
+      const rationale = escapeHtml(result.rationale).replace(/\|/g, '\\|');
+      
+      return `| ${result.url} | ${sentimentBadge}${risk} | **${mention}**${breakdown ? `<br>${breakdown}` : ''} | ${metrics} | ${anchor} | ${rationale} | _"${escapeHtml(excerpt)}"_ |`;
     })
     .join('\n');
   
-  const suggestionValue = `## Top ${summary.withMentions} Referring Domains\n\n| Referring Domain | Sentiment Analysis | Brand Mention | Rationale | Excerpt |\n|-----|-----------|---------------|-----------|---------|\n${tableRows}`;
+  const suggestionValue = `## Top ${summary.withMentions} Referring Domains\n\n| Referring Domain | Sentiment Analysis | Brand Mention | Link Metrics | Anchor | Rationale | Excerpt |\n|-----|-----------|---------------|--------------|--------|-----------|---------|\n${tableRows}`;
   
   return {
     opportunity: {
@@ -543,15 +656,60 @@ function generateOpportunityJSON(reportData) {
       runbook: "https://adobe.sharepoint.com/sites/backlink-sentiment-analysis",
       type: "generic-opportunity",
       data: {
-        dataSources: ["Ahrefs"]
+        dataSources,
+        lexicons: reportData.lexicons,
+        languageLexicons: reportData.languageLexicons,
+        engine: reportData.engine,
+        model: reportData.model,
+        aspects: (reportData.aspects || []).map(({ id, label, pages, sentences, score, classification, distribution }) => ({
+          id, label, pages, sentences, score, classification, distribution
+        })),
+        riskTaxonomyVersion: reportData.riskTaxonomyVersion,
+        languages: summary.languages,
+        languageBreakdown: reportData.languageBreakdown,
+        sourceRows: summary.sourceRows,
+        uniquePages: summary.uniquePages,
+        collapsedRows: summary.collapsedRows,
+        duplicates: summary.duplicates,
+        results: withBrandMention.map(r => ({
+          url: r.url,
+          language: r.language ? r.language.language : null,
+          title: r.metadata ? r.metadata.title : null,
+          publishedAt: r.metadata ? r.metadata.publishedAt : null,
+          author: r.metadata ? r.metadata.author : null,
+          siteName: r.metadata ? r.metadata.siteName : null,
+          canonicalUrl: r.metadata ? r.metadata.canonicalUrl : null,
+          finalUrl: r.finalUrl,
+          collapsed: r.collapsed,
+          domainRating: r.backlink ? r.backlink.domainRating : null,
+          urlRating: r.backlink ? r.backlink.urlRating : null,
+          pageTraffic: r.backlink ? r.backlink.pageTraffic : null,
+          anchor: r.backlink ? r.backlink.anchor : null,
+          nofollow: r.backlink ? r.backlink.nofollow : null,
+          sponsored: r.backlink ? r.backlink.sponsored : null,
+          ugc: r.backlink ? r.backlink.ugc : null,
+          ratings: r.ratings,
+          classification: r.classification,
+          score: r.sentiment.score,
+          riskLevel: r.riskLevel || 'none',
+          risks: (r.risks || []).map(({ category, term, severity }) => ({ category, term, severity })),
+          contentHash: r.contentHash,
+          override: r.override
+        }))
       },
       origin: "ESS_OPS",
       title: "Backlink Sentiment Analysis",
       description: `This audit analyzes sentiment around brand mentions across backlink sources to assess brand perception and content quality. Using context-aware sentiment analysis, we evaluated ${summary.successful} referring domains and found ${summary.withMentions} pages actively mentioning ${searchTerm}. This analysis focuses on how ${searchTerm} is portrayed in external content, highlighting opportunities and potential reputation risks.`,
       guidance: {
         recommendations: [
+          ...(criticalRisks.length > 0 ? [{
+            insight: `${criticalRisks.length} page${criticalRisks.length > 1 ? 's' : ''} raise${criticalRisks.length > 1 ? '' : 's'} critical reputational risks: ${criticalRisks.slice(0, 5).map(r => `${r.url} (${formatRisks(r.risks)})`).join(', ')}${criticalRisks.length > 5 ? ', ...' : ''}`,
+            recommendation: `Escalate the critical-risk pages to communications and legal before any outreach.`,
+            type: null,
+            rationale: null
+          }] : []),
           {
-            insight: `Brand Mention Health: ${summary.withMentions} pages actively mention ${searchTerm} (${positivePercent > 70 ? 'Very good' : positivePercent > 40 ? 'Good' : positivePercent > 10 ? 'Fair' : 'Limited'} sentiment: ${positive} positive, ${neutral} neutral, ${negative} negative).`,
+            insight: `Brand Mention Health: ${summary.withMentions} pages actively mention ${searchTerm} (${positivePercent > 70 ? 'Very good' : positivePercent > 40 ? 'Good' : positivePercent > 10 ? 'Fair' : 'Limited'} sentiment: ${positive} positive, ${neutral} neutral, ${negative} negative${mixed > 0 ? `, ${mixed} mixed` : ''}).`,
             recommendation: null,
             type: null,
             rationale: withBrandMention.length === 0
@@ -587,7 +745,19 @@ function generateOpportunityJSON(reportData) {
             recommendation: `${positive > 0 ? `Leverage ${positive} positive brand mention${positive > 1 ? 's' : ''} in marketing materials. ` : ''}${summary.successful - summary.withMentions > 0 ? `Outreach to ${summary.successful - summary.withMentions} non-mentioning referring sites to add ${searchTerm} brand presence and increase visibility.` : ''}`,
             type: null,
             rationale: null
-          }
+          },
+          ...(deadLinks.length > 0 ? [{
+            insight: `${deadLinks.length} backlink page${deadLinks.length > 1 ? 's' : ''} no longer exist${deadLinks.length > 1 ? '' : 's'} (HTTP 404/410). These backlinks are lost.`,
+            recommendation: `Reclaim lost backlinks by asking the site owners to restore or redirect the pages: ${deadLinks.slice(0, 5).map(r => r.url).join(', ')}${deadLinks.length > 5 ? ', ...' : ''}`,
+            type: null,
+            rationale: null
+          }] : []),
+          ...(missingLinks.length > 0 ? [{
+            insight: `${missingLinks.length} referring page${missingLinks.length > 1 ? 's' : ''} no longer link${missingLinks.length > 1 ? '' : 's'} to ${missingLinks[0].linkCheck.targetDomain}.`,
+            recommendation: `Contact the site owners to restore the removed links: ${missingLinks.slice(0, 5).map(r => r.url).join(', ')}${missingLinks.length > 5 ? ', ...' : ''}`,
+            type: null,
+            rationale: null
+          }] : [])
         ]
       },
       tags: ["Off-Site", "isElmo", "llm", "context-aware-sentiment"],
@@ -625,16 +795,71 @@ function generateOpportunityJSON(reportData) {
   };
 }
 
-// Process a single URL
-async function processURL(url, index, total) {
-  console.log(`[${index + 1}/${total}] Processing: ${url}`);
+// Overrides are keyed by the URL the analyst reviewed, which may be any variant collapsed into
+// this page (a utm_* or AMP URL from the export), so every variant and the normalized URL match
+function findOverride(result) {
+  const key = urlNormalizer.normalize(result.url);
+  const overrideUrl = [result.url, ...result.collapsed.variants].find(candidate => overrides[candidate]) ||
+    (key && Object.keys(overrides).find(candidate => urlNormalizer.normalize(candidate) === key));
+  return overrideUrl ? matchOverride(overrides, overrideUrl, result.contentHash) : null;
+}
+
+// Apply an analyst override; stale ones (page substantially changed) are recorded but not applied
+function applyOverride(result, override) {
+  const { entry } = override;
+  result.override = {
+    status: override.status,
+    classification: entry.classification,
+    computedClassification: result.classification,
+    notes: entry.notes || null,
+    reviewer: entry.reviewer || null,
+    reviewedAt: entry.reviewedAt || null,
+    distance: override.distance,
+    verified: override.verified,
+  };
+
+  if (override.status === 'stale') {
+    result.rationale = `${formatOverride(override)}. ${result.rationale}`;
+    console.log(`  ⚠️  ${formatOverride(override)}`);
+    return;
+  }
+
+  result.classification = entry.classification;
+  result.rationale = `${formatOverride(override)}. Computed: ${result.rationale}`;
+  result.suggestions = generateImprovementSuggestions(result.sentiment, result.classification, result.url, result.excerpts);
+  console.log(`  ℹ️  Analyst override: ${result.override.computedClassification} → ${entry.classification}`);
+  if (!override.verified) {
+    console.log(`  ⚠️  Override has no contentHash; add ${result.contentHash} to notice page changes`);
+  }
+}
 
-  const result = {
-    url,
+// A result before any analysis: nothing fetched, scored or detected yet
+function emptyResult(backlink) {
+  return {
+    url: backlink.url,
+    backlink,
+    collapsed: backlink.collapsed || { rows: 1, variants: [backlink.url] },
+    finalUrl: null,
+    duplicateOf: null,
     status: 'success',
     error: null,
+    errorType: null,
+    httpStatus: null,
     mentionsBrand: false,
     mentionCount: 0,
+    mentionRegions: null,
+    mentionConfidence: null,
+    ambiguousMentions: 0,
+    rejectedMentions: 0,
+    riskLevel: null,
+    risks: [],
+    contentHash: null,
+    override: null,
+    language: null,
+    metadata: null,
+    structuredReviews: [],
+    ratings: null,
+    linkCheck: null,
     textLength: 0,
     excerpts: [],
     sentiment: null,
@@ -642,33 +867,175 @@ async function processURL(url, index, total) {
     rationale: '',
     suggestions: [],
   };
+}
+
+// Pages reached through different backlink URLs (redirects, rel=canonical) are analyzed once:
+// later copies become 'duplicate' results and their source rows count toward the first page.
+// Returns the number of results merged.
+function mergeDuplicatePages(results) {
+  const fetched = results.filter(r => r.finalUrl);
+  const groups = groupEquivalentPages(fetched.map(r => ({
+    url: r.url,
+    finalUrl: r.finalUrl,
+    canonicalUrl: r.metadata ? r.metadata.canonicalUrl : null,
+  })), urlNormalizer);
+
+  let merged = 0;
+  groups.forEach((primaryIndex, i) => {
+    if (primaryIndex === i) return;
+    const primary = fetched[primaryIndex];
+    const duplicate = fetched[i];
+    primary.collapsed = {
+      rows: primary.collapsed.rows + duplicate.collapsed.rows,
+      variants: [...new Set([...primary.collapsed.variants, ...duplicate.collapsed.variants])],
+    };
+    Object.assign(duplicate, emptyResult(duplicate.backlink), {
+      status: 'duplicate',
+      error: `Same page as ${primary.url}`,
+      duplicateOf: primary.url,
+      finalUrl: duplicate.finalUrl,
+      metadata: duplicate.metadata,
+    });
+    console.log(`  ⧉ ${duplicate.url} is the same page as ${primary.url}`);
+    merged++;
+  });
+  return merged;
+}
+
+// Process a single backlink
+async function processURL(backlink, index, total) {
+  const { url } = backlink;
+  console.log(`[${index + 1}/${total}] Processing: ${url}`);
+
+  const result = emptyResult(backlink);
 
   try {
+    // Respect robots.txt before requesting the page (offline runs only read pages fetched earlier)
+    const robotsCheck = CONFIG.offline ? { allowed: true, crawlDelay: null } : await robots.check(url);
+    // A Crawl-delay above the limit would stall the run on that host: skip all of its pages instead
+    if (robotsCheck.crawlDelay !== null && robotsCheck.crawlDelay > CONFIG.maxCrawlDelay) {
+      result.status = 'blocked-by-robots';
+      result.error = `Crawl-delay of ${robotsCheck.crawlDelay}s exceeds the ${CONFIG.maxCrawlDelay}s limit`;
+      console.log(`  ⊘ Skipped: ${result.error}`);
+      return result;
+    }
+    if (robotsCheck.crawlDelay !== null) {
+      crawlDelays.set(getHostname(url), robotsCheck.crawlDelay * 1000);
+    }
+    if (!robotsCheck.allowed) {
+      result.status = 'blocked-by-robots';
+      result.error = 'Disallowed by robots.txt';
+      console.log('  ⊘ Blocked by robots.txt');
+      return result;
+    }
+
     // Fetch page content
-    const html = await fetchPageContent(url);
+    const { html, finalUrl } = await fetchPageContent(url);
+    result.finalUrl = finalUrl;
+    if (finalUrl !== url) {
+      console.log(`  ℹ️  Redirected to ${finalUrl}`);
+    }
 
-    // Extract text
-    const text = extractTextContent(html);
+    // Split the page into main article, comments and boilerplate (sidebars, banners, widgets)
+    const content = extractContent(html);
+    const text = content.main;
     result.textLength = text.length;
 
-    // Check for brand mentions
-    result.mentionsBrand = mentionsSearchTerm(text, CONFIG.searchTerm);
-    result.mentionCount = countMentions(text, CONFIG.searchTerm);
+    // Identify the page language from its text; it picks the lexicon the page is scored with
+    result.language = languageDetector.detect(text || content.comments);
+    const language = result.language.language;
+
+    // Title, description, publish date, author, site name and canonical URL from the page head
+    result.metadata = extractMetadata(html, finalUrl);
+
+    // Locate the backlink itself and score the paragraph around it separately from page-wide mentions
+    const targetDomain = resolveTargetDomain(backlink, CONFIG.targetDomain);
+    if (targetDomain) {
+      const anchors = findBacklinkAnchors(html, finalUrl, targetDomain);
+      const contexts = [...new Set(anchors.map(a => a.context))];
+      result.linkCheck = {
+        targetDomain,
+        live: anchors.length > 0,
+        anchors,
+        contextSentiment: contexts.length > 0 ? pageScorer.scoreHybrid(contexts.join(' '), language) : null
+      };
+      if (!result.linkCheck.live) {
+        console.log(`  ⚠ No link to ${targetDomain} found on page`);
+      }
+    }
+
+    // Confidently detected languages the run does not analyze are skipped
+    if (CONFIG.languages && language !== 'und' &&
+        result.language.confidence >= CONFIG.minLanguageConfidence &&
+        !CONFIG.languages.includes(language)) {
+      result.status = 'other-language';
+      result.error = `Page language: ${formatLanguage(result.language)}`;
+      console.log(`  🌐 Skipped: ${formatLanguage(result.language)}`);
+      return result;
+    }
+
+    // Pages published before the recency cutoff (and undated ones with --undated=skip) are skipped
+    const { publishedAt } = result.metadata;
+    if (publishedAfter && (publishedAt ? publishedAt < publishedAfter : CONFIG.undated === 'skip')) {
+      result.status = 'outside-date-range';
+      result.error = publishedAt ? `Published ${publishedAt}, before ${publishedAfter}` : 'No publish date found';
+      console.log(`  📅 Skipped: ${result.error}`);
+      return result;
+    }
+
+    // Count brand mentions per region; only article and comment mentions count for the page
+    result.mentionRegions = {};
+    REGIONS.forEach(region => {
+      result.mentionRegions[region] = countMentions(content[region], brandMatcher);
+    });
+    result.mentionCount = result.mentionRegions.main + result.mentionRegions.comments;
+
+    // Disambiguation verdicts for article and comment mentions (homonyms, other companies)
+    const mentionCheck = summarizeMentions([
+      ...brandMatcher.analyzeMentions(content.main),
+      ...brandMatcher.analyzeMentions(content.comments)
+    ], { ambiguous: CONFIG.ambiguous });
+    result.mentionConfidence = mentionCheck.confidence;
+    result.ambiguousMentions = mentionCheck.ambiguous;
+    result.rejectedMentions = mentionCheck.rejected;
+    if (mentionCheck.ambiguous > 0 || mentionCheck.rejected > 0) {
+      console.log(`  ℹ️  Mentions: ${mentionCheck.ambiguous} ambiguous, ${mentionCheck.rejected} not the brand`);
+    }
+    // Review/AggregateRating markup; ratings of the brand or its products count as a mention
+    result.structuredReviews = extractStructuredReviews(html, brandMatcher);
+    result.ratings = summarizeRatings(result.structuredReviews);
+    if (result.ratings) {
+      console.log(`  ℹ️  Brand ratings: ${formatRatings(result.ratings)}`);
+    }
+    result.mentionsBrand = mentionsSearchTerm(content.main, brandMatcher) ||
+      mentionsSearchTerm(content.comments, brandMatcher) ||
+      result.ratings !== null;
 
     if (result.mentionsBrand) {
-      result.excerpts = extractExcerpts(text, CONFIG.searchTerm);
+      result.excerpts = [
+        ...extractExcerpts(content.main, brandMatcher),
+        ...extractExcerpts(content.comments, brandMatcher)
+      ];
 
-      // Analyze brand sentiment using context-aware analysis
-      result.sentiment = analyzeSentiment(text, CONFIG.searchTerm);
+      // Analyze brand sentiment using context-aware analysis, weighted by region
+      result.sentiment = pageScorer.analyzeSentiment(content, language, result.ratings);
       result.classification = classifySentiment(result.sentiment);
       result.rationale = generateSentimentRationale(result.sentiment, result.classification, text);
       
       // Generate improvement suggestions
       result.suggestions = generateImprovementSuggestions(result.sentiment, result.classification, url, result.excerpts);
+
+      if (result.sentiment) {
+        result.riskLevel = result.sentiment.riskLevel;
+        result.risks = result.sentiment.risks;
+        if (result.riskLevel === 'critical' || result.riskLevel === 'high') {
+          console.log(`  🚨 Risk (${result.riskLevel}): ${formatRisks(result.risks)}`);
+        }
+      }
     } else {
       // If brand not mentioned, analyze full text but note it
       if (!CONFIG.requireMention) {
-        result.sentiment = analyzeSentiment(text, CONFIG.searchTerm);
+        result.sentiment = pageScorer.analyzeSentiment(content, language, result.ratings);
         result.classification = classifySentiment(result.sentiment);
         result.rationale = `No brand mention detected. Page sentiment is ${result.classification} but not relevant to brand analysis.`;
         result.suggestions = ['No brand mention found - consider outreach to get brand coverage on this site'];
@@ -679,9 +1046,18 @@ async function processURL(url, index, total) {
       }
     }
 
+    // Analyst overrides win over the computed classification until the page is rewritten
+    if (result.status === 'success' && result.sentiment) {
+      result.contentHash = contentHash(text);
+      const override = findOverride(result);
+      if (override) applyOverride(result, override);
+    }
+
   } catch (error) {
     result.status = 'error';
     result.error = error.message;
+    result.errorType = error.type || 'unknown';
+    result.httpStatus = error.httpStatus || null;
     console.log(`  ✗ Error: ${error.message}`);
   }
 
@@ -694,6 +1070,24 @@ async function main() {
   console.log('Backlink Sentiment Analyzer');
   console.log('='.repeat(60));
   console.log(`Search term: ${CONFIG.searchTerm}`);
+  console.log(`Brand profile: ${brandProfile.officialName} (${brandProfile.aliases.length} aliases, ${brandProfile.products.length} products, ${brandProfile.tickers.length} tickers)`);
+  console.log(`Lexicons: ${formatLexiconPacks(lexicon.packs)}`);
+  Object.values(languageLexicons).forEach(languageLexicon => {
+    console.log(`  ${LANGUAGE_NAMES[languageLexicon.language] || languageLexicon.language}: ${formatLexiconPacks(languageLexicon.packs)}`);
+  });
+  (CONFIG.languages || []).filter(language => language !== DEFAULT_LANGUAGE && !languageLexicons[language]).forEach(language => {
+    console.log(`⚠️  No ${LANGUAGE_NAMES[language] || language} lexicon in config/lexicons/${language}: pages are scored with the English lexicon`);
+  });
+  console.log(`Engine: ${[
+    CONFIG.engine,
+    model ? `model ${formatModel(model)}` : null,
+    CONFIG.engine === 'ensemble' ? `model weight ${CONFIG.modelWeight}` : null,
+    CONFIG.ratingWeight > 0 ? `rating weight ${CONFIG.ratingWeight}` : 'ratings ignored',
+  ].filter(Boolean).join(' · ')}`);
+  if (publishedAfter) {
+    console.log(`Published after: ${publishedAfter} (undated pages ${CONFIG.undated === 'skip' ? 'skipped' : 'kept'})`);
+  }
+  console.log(`Languages: ${CONFIG.languages ? `${CONFIG.languages.join(', ')} (others skipped at confidence ${CONFIG.minLanguageConfidence}+)` : 'all'}`);
   console.log(`Input CSV: ${CONFIG.inputCSV}`);
   console.log(`Output HTML: ${CONFIG.outputHTML}`);
   console.log('='.repeat(60));
@@ -707,17 +1101,17 @@ async function main() {
       process.exit(1);
     }
 
-    // Read URLs from CSV
-    const allUrls = await readURLsFromCSV(CONFIG.inputCSV);
+    // Read backlink records from CSV
+    const allBacklinks = await readURLsFromCSV(CONFIG.inputCSV);
 
-    if (allUrls.length === 0) {
+    if (allBacklinks.length === 0) {
       console.error('Error: No URLs found in CSV file');
       process.exit(1);
     }
 
     // Filter out stock/finance pages first
-    const candidateUrls = allUrls.slice(0, CONFIG.maxUrlsToFetch);
-    const afterStockFilter = candidateUrls.filter(url => !isStockFinancePage(url));
+    const candidateUrls = allBacklinks.slice(0, CONFIG.maxUrlsToFetch);
+    const afterStockFilter = candidateUrls.filter(({ url }) => !isStockFinancePage(url));
     const skippedStock = candidateUrls.length - afterStockFilter.length;
     
     if (skippedStock > 0) {
@@ -725,41 +1119,37 @@ async function main() {
     }
 
     // Filter out excluded domains
-    const afterDomainFilter = afterStockFilter.filter(url => !isExcludedDomain(url));
+    const afterDomainFilter = afterStockFilter.filter(({ url }) => !isExcludedDomain(url));
     const skippedDomains = afterStockFilter.length - afterDomainFilter.length;
     
     if (skippedDomains > 0) {
       console.log(`ℹ️  Skipped ${skippedDomains} excluded domain(s)`);
     }
 
-    // Filter out language-specific pages (tw, jp, kr, ar, it, ua, fr, de, pl, pt, th, etc.)
-    const filteredUrls = afterDomainFilter.filter(url => !isExcludedLanguagePage(url));
-    const skippedLanguage = afterDomainFilter.length - filteredUrls.length;
+    // Limit to top N URLs after filtering (page languages are detected after fetching)
+    const urls = afterDomainFilter.slice(0, CONFIG.maxUrls);
     
-    if (skippedLanguage > 0) {
-      console.log(`ℹ️  Skipped ${skippedLanguage} non-English language pages (tw, jp, kr, ar, it, ua, etc.)`);
-    }
-
-    // Limit to top N URLs after filtering
-    const urls = filteredUrls.slice(0, CONFIG.maxUrls);
-    
-    if (allUrls.length > CONFIG.maxUrls) {
-      console.log(`ℹ️  Analyzing top ${urls.length} URLs from ${allUrls.length} total found`);
+    if (allBacklinks.length > CONFIG.maxUrls) {
+      console.log(`ℹ️  Analyzing top ${urls.length} URLs from ${allBacklinks.length} total found`);
     }
 
     console.log();
 
-    // Process each URL
-    const results = [];
-    for (let i = 0; i < urls.length; i++) {
-      const result = await processURL(urls[i], i, urls.length);
-      results.push(result);
-
-      // Delay between requests to be polite
-      if (i < urls.length - 1) {
-        await delay(CONFIG.delayBetweenRequests);
-      }
+    // Process URLs concurrently, spacing requests to the same host to be polite
+    if (CONFIG.offline) {
+      console.log('ℹ️  Offline mode: analyzing cached pages only');
+    } else {
+      console.log(`ℹ️  Fetching with concurrency ${CONFIG.concurrency} (max ${CONFIG.perHostConcurrency} per host, ${CONFIG.perHostDelay}ms spacing)`);
     }
+    const results = await runPool(urls, (backlink, i) => processURL(backlink, i, urls.length), {
+      concurrency: Math.max(1, CONFIG.concurrency),
+      perHostConcurrency: Math.max(1, CONFIG.perHostConcurrency),
+      perHostDelay: CONFIG.offline ? 0 : CONFIG.perHostDelay,
+      getHostDelay: host => crawlDelays.get(host),
+    });
+
+    // Pages that redirected to, or name as canonical, a page already analyzed are merged into it
+    mergeDuplicatePages(results);
 
     console.log();
     console.log('='.repeat(60));
@@ -770,13 +1160,68 @@ async function main() {
     const successful = results.filter(r => r.status === 'success' && r.sentiment);
     const errors = results.filter(r => r.status === 'error');
     const skipped = results.filter(r => r.status === 'skipped');
+    const blockedByRobots = results.filter(r => r.status === 'blocked-by-robots');
+    const otherLanguage = results.filter(r => r.status === 'other-language');
+    const outsideDateRange = results.filter(r => r.status === 'outside-date-range');
+    const duplicates = results.filter(r => r.status === 'duplicate');
+    // Rows behind the analyzed pages only (the export may hold more than the analyzed slice)
+    const sourceRows = urls.reduce((sum, backlink) => sum + backlink.collapsed.rows, 0);
+    const uniquePages = urls.length - duplicates.length;
+    const undated = successful.filter(r => r.metadata && !r.metadata.publishedAt);
+    const rated = successful.filter(r => r.ratings);
+    const languages = {};
+    results.filter(r => r.language).forEach(r => {
+      languages[r.language.language] = (languages[r.language.language] || 0) + 1;
+    });
     const withMentions = results.filter(r => r.mentionsBrand);
+    const withAmbiguousMentions = results.filter(r => r.ambiguousMentions > 0);
+    const linksLive = results.filter(r => r.linkCheck && r.linkCheck.live);
+    const linksMissing = results.filter(r => r.linkCheck && !r.linkCheck.live);
+    const overridden = results.filter(r => r.override && r.override.status === 'applied');
+    const staleOverrides = results.filter(r => r.override && r.override.status === 'stale');
+    const unverifiedOverrides = overridden.filter(r => !r.override.verified);
+    const riskLevels = {};
+    [...SEVERITY_LEVELS].reverse().forEach(level => {
+      riskLevels[level] = results.filter(r => r.riskLevel === level).length;
+    });
 
     console.log(`Total URLs processed: ${results.length}`);
     console.log(`Successful: ${successful.length}`);
     console.log(`Errors: ${errors.length}`);
+    Object.entries(countErrorTypes(errors)).forEach(([type, count]) => {
+      console.log(`  ${ERROR_TYPES[type] || type}: ${count}`);
+    });
     console.log(`Skipped: ${skipped.length}`);
+    console.log(`Blocked by robots.txt: ${blockedByRobots.length}`);
+    console.log(`Skipped (other languages): ${otherLanguage.length}`);
+    if (sourceRows > uniquePages) {
+      console.log(`Duplicate rows collapsed: ${sourceRows} source rows → ${uniquePages} pages (${duplicates.length} merged after fetching by redirect or canonical)`);
+    }
+    if (publishedAfter) {
+      console.log(`Skipped (published before ${publishedAfter}): ${outsideDateRange.length}`);
+    }
+    if (undated.length > 0) {
+      console.log(`Analyzed pages without a publish date: ${undated.length}`);
+    }
+    if (rated.length > 0) {
+      console.log(`Pages with brand ratings: ${rated.length} (average ★ ${(rated.reduce((sum, r) => sum + r.ratings.stars, 0) / rated.length).toFixed(1)}/5)`);
+    }
+    if (Object.keys(languages).length > 0) {
+      console.log(`Page languages: ${formatLanguageCounts(languages)}`);
+    }
     console.log(`Pages mentioning "${CONFIG.searchTerm}": ${withMentions.length}`);
+    if (withAmbiguousMentions.length > 0) {
+      console.log(`Pages with ambiguous mentions (${CONFIG.ambiguous === 'exclude' ? 'excluded' : 'flagged'}): ${withAmbiguousMentions.length}`);
+    }
+    if (overridden.length + staleOverrides.length > 0) {
+      console.log(`Analyst overrides applied: ${overridden.length} (${unverifiedOverrides.length} without contentHash), stale (content changed): ${staleOverrides.length}`);
+    }
+    if (riskLevels.critical + riskLevels.high > 0) {
+      console.log(`Pages with risks: ${riskLevels.critical} critical, ${riskLevels.high} high, ${riskLevels.medium} medium, ${riskLevels.low} low`);
+    }
+    if (linksLive.length + linksMissing.length > 0) {
+      console.log(`Backlinks still live: ${linksLive.length}, not found on page: ${linksMissing.length}`);
+    }
     console.log();
 
     if (successful.length > 0) {
@@ -786,6 +1231,7 @@ async function main() {
       const positive = successful.filter(r => r.classification === 'positive').length;
       const negative = successful.filter(r => r.classification === 'negative').length;
       const neutral = successful.filter(r => r.classification === 'neutral').length;
+      const mixed = successful.filter(r => r.classification === 'mixed').length;
 
       console.log('Sentiment Summary:');
       console.log(`  Average Score: ${avgScore.toFixed(2)}`);
@@ -793,6 +1239,9 @@ async function main() {
       console.log(`  Positive: ${positive} (${(positive / successful.length * 100).toFixed(1)}%)`);
       console.log(`  Neutral: ${neutral} (${(neutral / successful.length * 100).toFixed(1)}%)`);
       console.log(`  Negative: ${negative} (${(negative / successful.length * 100).toFixed(1)}%)`);
+      if (mixed > 0) {
+        console.log(`  Mixed: ${mixed} (${(mixed / successful.length * 100).toFixed(1)}%)`);
+      }
     }
 
     console.log();
@@ -801,17 +1250,53 @@ async function main() {
     // Generate detailed insights
     const insights = generateDetailedInsights(results, CONFIG.searchTerm);
 
+    // Sentiment per aspect (product, pricing, safety, ...) across all pages
+    const aspects = summarizeAspects(results.filter(r => r.status === 'success'), aspectTaxonomy, classifyScore);
+
+    // Sentiment per page language (each scored with its own lexicon)
+    const languageBreakdown = summarizeLanguages(successful, classifyScore);
+
     // Prepare report data
     const reportData = {
       searchTerm: CONFIG.searchTerm,
+      brandProfile,
+      lexicons: lexicon.packs,
+      languageLexicons: Object.fromEntries(Object.entries(languageLexicons).map(([language, languageLexicon]) => [language, languageLexicon.packs])),
+      languageBreakdown,
+      engine: CONFIG.engine,
+      model: model ? { type: model.type, version: model.version, trainedAt: model.trainedAt, examples: model.examples } : null,
+      aspects,
+      aspectTaxonomyVersion: aspectTaxonomy.version,
+      riskTaxonomyVersion: riskTaxonomy.version,
       timestamp: new Date().toISOString(),
       results,
       summary: {
         total: results.length,
         successful: successful.length,
         errors: errors.length,
+        errorsByType: countErrorTypes(errors),
         skipped: skipped.length,
+        blockedByRobots: blockedByRobots.length,
+        otherLanguage: otherLanguage.length,
+        languages,
+        sourceRows,
+        uniquePages,
+        collapsedRows: sourceRows - uniquePages,
+        duplicates: duplicates.length,
+        publishedAfter,
+        outsideDateRange: outsideDateRange.length,
+        undated: undated.length,
+        rated: rated.length,
+        averageStars: rated.length > 0 ? Math.round(rated.reduce((sum, r) => sum + r.ratings.stars, 0) / rated.length * 10) / 10 : null,
         withMentions: withMentions.length,
+        withAmbiguousMentions: withAmbiguousMentions.length,
+        riskLevels,
+        overridden: overridden.length,
+        staleOverrides: staleOverrides.length,
+        unverifiedOverrides: unverifiedOverrides.length,
+        ambiguousMode: CONFIG.ambiguous,
+        linksLive: linksLive.length,
+        linksMissing: linksMissing.length,
       },
       insights,
     };
@@ -0,0 +1,211 @@
+const cheerio = require('cheerio');
+const { readJsonLd } = require('./page-metadata');
+
+// schema.org rating scale defaults when a rating omits bestRating/worstRating
+const DEFAULT_BEST_RATING = 5;
+const DEFAULT_WORST_RATING = 1;
+
+// Review bodies kept in results are trimmed to this length
+const MAX_BODY_LENGTH = 300;
+
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// schema.org types of a node, without the vocabulary prefix ("http://schema.org/Product" → "Product")
+function typesOf(node) {
+  return [].concat(node['@type'] || []).map(type => String(type).split('/').pop());
+}
+
+const hasType = (node, type) => typesOf(node).includes(type);
+
+// A schema.org number ("4.5", "4,5", 4.5), else null
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+// First value of a property that may be a list
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Name of a Thing (or a plain string naming one)
+function nameOf(value) {
+  const thing = first(value);
+  if (!thing) return null;
+  if (typeof thing === 'string') return clean(thing) || null;
+  return clean(first(thing.name)) || null;
+}
+
+// One microdata item as a JSON-LD-shaped object: itemtype becomes @type, itemprops become
+// properties (nested itemscopes recurse). Values come from content/datetime/href/src or text.
+function readMicrodataItem($, el) {
+  const $el = $(el);
+  const item = { '@type': ($el.attr('itemtype') || '').split(/\s+/).filter(Boolean) };
+  $el.find('[itemprop]').each((i, prop) => {
+    const $prop = $(prop);
+    // Only properties of this item, not of an item nested inside it
+    if ($prop.parent().closest('[itemscope]')[0] !== el) return;
+    const value = $prop.is('[itemscope]')
+      ? readMicrodataItem($, prop)
+      : clean($prop.attr('content') || $prop.attr('datetime') || $prop.attr('href') || $prop.attr('src') || $prop.text());
+    ($prop.attr('itemprop') || '').split(/\s+/).filter(Boolean).forEach(name => {
+      item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+    });
+  });
+  return item;
+}
+
+// Top-level microdata items on the page
+function readMicrodata($) {
+  const items = [];
+  $('[itemscope]').each((i, el) => {
+    if (!$(el).is('[itemprop]')) items.push(readMicrodataItem($, el));
+  });
+  return items;
+}
+
+// Rating value on its scale, normalized to -1..1 (the middle of the scale is 0)
+function readRating(rating) {
+  const node = first(rating);
+  if (!node) return null;
+  const value = toNumber(typeof node === 'object' ? first(node.ratingValue) : node);
+  if (value === null) return null;
+  const best = toNumber(typeof node === 'object' ? first(node.bestRating) : null) ?? DEFAULT_BEST_RATING;
+  const worst = toNumber(typeof node === 'object' ? first(node.worstRating) : null) ?? DEFAULT_WORST_RATING;
+  if (best <= worst || value < worst || value > best) return null;
+  return {
+    rating: value,
+    bestRating: best,
+    worstRating: worst,
+    normalized: Math.round(((value - worst) / (best - worst) * 2 - 1) * 100) / 100,
+  };
+}
+
+// Every Review and AggregateRating in a set of JSON-LD/microdata nodes, with the thing it rates.
+// Ratings appear standalone (with itemReviewed) or nested in the Product/Organization they rate.
+function collectRatings(nodes, source) {
+  const found = [];
+  const seen = new Set();
+
+  const subjectOf = (thing) => ({
+    subject: nameOf(thing),
+    brand: thing && typeof thing === 'object' ? nameOf(thing.brand) || nameOf(thing.manufacturer) : null,
+  });
+
+  const addAggregate = (node, about) => {
+    const rating = readRating(node);
+    if (!rating) return;
+    found.push({
+      kind: 'aggregate',
+      source,
+      ...about,
+      ...rating,
+      reviewCount: toNumber(first(node.reviewCount)) ?? toNumber(first(node.ratingCount)) ?? null,
+    });
+  };
+
+  const addReview = (node, about) => {
+    const rating = readRating(node.reviewRating);
+    if (!rating) return;
+    const body = clean(first(node.reviewBody) || first(node.description));
+    found.push({
+      kind: 'review',
+      source,
+      ...about,
+      ...rating,
+      author: nameOf(node.author),
+      body: body.length > MAX_BODY_LENGTH ? `${body.slice(0, MAX_BODY_LENGTH)}...` : body || null,
+    });
+  };
+
+  const visit = (node, parent) => {
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, parent));
+      return;
+    }
+    if (!node || typeof node !== 'object' || seen.has(node)) return;
+    seen.add(node);
+
+    if (hasType(node, 'AggregateRating')) {
+      addAggregate(node, subjectOf(node.itemReviewed ? first(node.itemReviewed) : parent));
+    } else if (hasType(node, 'Review')) {
+      addReview(node, subjectOf(node.itemReviewed ? first(node.itemReviewed) : parent));
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === 'itemReviewed') return;
+      const isRatingProperty = key === 'aggregateRating' || key === 'review' || key === 'reviews';
+      [].concat(value).forEach(child => {
+        if (!child || typeof child !== 'object') return;
+        // A rating nested in a Thing rates that Thing unless it names its own itemReviewed
+        if (isRatingProperty && !hasType(child, 'AggregateRating') && !hasType(child, 'Review')) {
+          child = { ...child, '@type': key === 'aggregateRating' ? 'AggregateRating' : 'Review' };
+        }
+        visit(child, isRatingProperty ? node : parent);
+      });
+    });
+  };
+
+  visit(nodes, null);
+  return found;
+}
+
+// Review and AggregateRating markup (JSON-LD and microdata) on a page. Each rating records what
+// it rates and `matchesBrand` when that name (or its brand/manufacturer) is a brand mention.
+function extractStructuredReviews(html, brandMatcher) {
+  const $ = cheerio.load(html || '');
+  const ratings = [
+    ...collectRatings(readJsonLd($), 'json-ld'),
+    ...collectRatings(readMicrodata($), 'microdata'),
+  ];
+
+  // The same rating is often published as both JSON-LD and microdata
+  const unique = new Map();
+  ratings.forEach(rating => {
+    const key = [rating.kind, rating.subject, rating.rating, rating.bestRating, rating.reviewCount, rating.author, rating.body].join('|');
+    if (!unique.has(key)) unique.set(key, rating);
+  });
+
+  return [...unique.values()].map(rating => ({
+    ...rating,
+    matchesBrand: [rating.subject, rating.brand].some(name => name && brandMatcher.test(name)),
+  }));
+}
+
+// Brand ratings on a page as one signal: { score (-1..1), stars (on a 5-star scale), reviewCount,
+// aggregates, reviews, subjects }, or null when nothing on the page rates the brand. Aggregate
+// ratings are preferred (weighted by review count); individual reviews are averaged otherwise.
+function summarizeRatings(ratings) {
+  const brandRatings = (ratings || []).filter(rating => rating.matchesBrand);
+  if (brandRatings.length === 0) return null;
+
+  const aggregates = brandRatings.filter(rating => rating.kind === 'aggregate');
+  const reviews = brandRatings.filter(rating => rating.kind === 'review');
+  const counted = aggregates.length > 0 ? aggregates : reviews;
+  const weightOf = (rating) => (rating.kind === 'aggregate' ? Math.max(1, rating.reviewCount || 1) : 1);
+  const totalWeight = counted.reduce((sum, rating) => sum + weightOf(rating), 0);
+  const score = counted.reduce((sum, rating) => sum + rating.normalized * weightOf(rating), 0) / totalWeight;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    stars: Math.round((1 + (score + 1) * 2) * 10) / 10,
+    reviewCount: aggregates.length > 0
+      ? aggregates.reduce((sum, rating) => sum + (rating.reviewCount || 0), 0) || null
+      : reviews.length,
+    aggregates: aggregates.length,
+    reviews: reviews.length,
+    subjects: [...new Set(brandRatings.map(rating => rating.subject).filter(Boolean))],
+  };
+}
+
+// "★ 4.3/5 (1,240 reviews)" for logs and report rows
+function formatRatings(summary) {
+  if (!summary) return '';
+  const count = summary.reviewCount ? ` (${summary.reviewCount.toLocaleString('en-US')} review${summary.reviewCount === 1 ? '' : 's'})` : '';
+  return `★ ${summary.stars.toFixed(1)}/5${count}`;
+}
+
+module.exports = {
+  extractStructuredReviews,
+  summarizeRatings,
+  formatRatings
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+// Trained models live in models/<name>.json
+const MODELS_FOLDER = path.join(__dirname, '..', 'models');
+const DEFAULT_MODEL = path.join(MODELS_FOLDER, 'sentiment-nb.json');
+
+// Brand mentions are replaced with this token so a model trained on one brand carries over to others
+const BRAND_TOKEN = '__brand__';
+
+// Laplace smoothing for unseen features
+const DEFAULT_ALPHA = 1;
+
+// Words that flip the next word's feature ("not safe" → "not_safe"), as in the indicator scorer
+const NEGATORS = ['not', 'no', 'never', 'without', 'cannot'];
+
+// Replace every brand mention in `text` with BRAND_TOKEN
+function maskMentions(text, brandMatcher) {
+  let masked = '';
+  let last = 0;
+  brandMatcher.findMentions(text).forEach(mention => {
+    masked += `${text.slice(last, mention.index)} ${BRAND_TOKEN} `;
+    last = mention.index + mention.length;
+  });
+  return masked + text.slice(last);
+}
+
+// Unigram and bigram features; a negator is glued to the word after it
+function extractFeatures(text) {
+  const words = ((text || '').toLowerCase().replace(/’/g, "'").match(/__brand__|[\p{L}\p{N}]+(?:'[\p{L}]+)*/gu) || []);
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    if ((NEGATORS.includes(words[i]) || words[i].endsWith("n't")) && i + 1 < words.length) {
+      tokens.push(`not_${words[++i]}`);
+    } else {
+      tokens.push(words[i]);
+    }
+  }
+  const features = [...tokens];
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    features.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return features;
+}
+
+// Train a multinomial naive Bayes model from [{ text, label }]. The model is plain JSON:
+// per-class document and feature counts, so it can be inspected, diffed and versioned.
+function trainNaiveBayes(examples, { version = 1, alpha = DEFAULT_ALPHA, sources = [] } = {}) {
+  const classes = [...new Set(examples.map(e => e.label))].sort();
+  const docCounts = {};
+  const featureCounts = {};
+  const totals = {};
+  classes.forEach(cls => {
+    docCounts[cls] = 0;
+    featureCounts[cls] = {};
+    totals[cls] = 0;
+  });
+
+  const vocabulary = new Set();
+  examples.forEach(({ text, label }) => {
+    docCounts[label]++;
+    extractFeatures(text).forEach(feature => {
+      featureCounts[label][feature] = (featureCounts[label][feature] || 0) + 1;
+      totals[label]++;
+      vocabulary.add(feature);
+    });
+  });
+
+  return {
+    type: 'naive-bayes',
+    version,
+    trainedAt: new Date().toISOString(),
+    examples: examples.length,
+    sources,
+    alpha,
+    classes,
+    vocabularySize: vocabulary.size,
+    docCounts,
+    totals,
+    featureCounts,
+  };
+}
+
+// Read a model file written by saveModel
+function loadModel(file = DEFAULT_MODEL) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Model not found: ${file} (train one with "npm run train")`);
+  }
+  const model = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (model.type !== 'naive-bayes') {
+    throw new Error(`Unsupported model type "${model.type}" in ${file}`);
+  }
+  return model;
+}
+
+// Write a model file (creates the models folder if needed)
+function saveModel(model, file = DEFAULT_MODEL) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(model, null, 2));
+}
+
+// Classifier over a loaded model. `predict(text)` returns { classification, probabilities, score }
+// where score = P(positive) - P(negative), on the same -1..1 scale as the combined score.
+function createTextClassifier(model) {
+  const totalDocs = model.classes.reduce((sum, cls) => sum + model.docCounts[cls], 0);
+
+  return {
+    model,
+    predict(text) {
+      const features = extractFeatures(text);
+      const logScores = {};
+      model.classes.forEach(cls => {
+        const denominator = model.totals[cls] + model.alpha * model.vocabularySize;
+        let logScore = Math.log(model.docCounts[cls] / totalDocs);
+        features.forEach(feature => {
+          logScore += Math.log(((model.featureCounts[cls][feature] || 0) + model.alpha) / denominator);
+        });
+        logScores[cls] = logScore;
+      });
+
+      // Softmax over log scores (shifted by the max to avoid underflow)
+      const max = Math.max(...Object.values(logScores));
+      const exps = {};
+      model.classes.forEach(cls => { exps[cls] = Math.exp(logScores[cls] - max); });
+      const sum = Object.values(exps).reduce((a, b) => a + b, 0);
+      const probabilities = {};
+      model.classes.forEach(cls => { probabilities[cls] = Math.round(exps[cls] / sum * 100) / 100; });
+
+      const classification = model.classes.reduce((best, cls) => (exps[cls] > exps[best] ? cls : best));
+      const score = Math.round(((probabilities.positive || 0) - (probabilities.negative || 0)) * 100) / 100;
+      return { classification, probabilities, score };
+    },
+  };
+}
+
+// "naive-bayes v3 (120 examples, trained 2026-10-19)" for report headers
+function formatModel(model) {
+  if (!model) return '';
+  return `${model.type} v${model.version} (${model.examples} examples, trained ${model.trainedAt.slice(0, 10)})`;
+}
+
+module.exports = {
+  MODELS_FOLDER,
+  DEFAULT_MODEL,
+  BRAND_TOKEN,
+  maskMentions,
+  extractFeatures,
+  trainNaiveBayes,
+  loadModel,
+  saveModel,
+  createTextClassifier,
+  formatModel
+};
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { findBrandProfile, defaultBrandProfile, createBrandMatcher } = require('./brand-profile');
+const { createPageCache } = require('./page-cache');
+const { extractContent } = require('./content-extractor');
+const { OVERRIDES_FILE, loadOverrides, contentHash, matchOverride } = require('./overrides');
+const { CLASSES } = require('./eval-metrics');
+const { DEFAULT_LANGUAGE } = require('./lexicon');
+const { DEFAULT_MODEL, maskMentions, trainNaiveBayes, loadModel, saveModel, formatModel } = require('./text-classifier');
+
+// Labelled brand texts kept alongside the analyst overrides (same format as eval/corpus.json).
+// The evaluation corpus is not used by default so it stays a fair test set.
+const TRAINING_FILE = path.join(__dirname, '..', 'labels', 'training.json');
+const CACHE_DIR = '.cache/pages';
+
+// Fewer examples than this make a model not worth saving
+const MIN_EXAMPLES = 10;
+
+// Read a string --name=value flag from the command line
+function getStringFlag(name, defaultValue) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : defaultValue;
+}
+
+// Sentences with a brand mention joined into one document, as the page scorer reads a region
+function brandText(text, brandMatcher) {
+  const mentions = brandMatcher.findMentions(text);
+  const sentences = [];
+  for (const match of text.matchAll(/[^.!?]+[.!?]+/g)) {
+    const end = match.index + match[0].length;
+    if (mentions.some(m => m.index >= match.index && m.index < end)) {
+      sentences.push(match[0].trim());
+    }
+  }
+  return sentences.join(' ');
+}
+
+// Examples from labelled data files: { items: [{ id, brand, language, label, text, comments }] }.
+// The analyzer only applies the model to default-language pages, so other languages are left out.
+function examplesFromData(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Training data not found: ${file}`);
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const matchers = new Map();
+  const matcherFor = (brand) => {
+    if (!matchers.has(brand)) {
+      matchers.set(brand, createBrandMatcher(findBrandProfile(brand) || defaultBrandProfile(brand)));
+    }
+    return matchers.get(brand);
+  };
+
+  return (data.items || []).filter(item => (item.language || DEFAULT_LANGUAGE) === DEFAULT_LANGUAGE).map(item => {
+    if (!CLASSES.includes(item.label)) {
+      throw new Error(`Training item ${item.id} in ${file} has unknown label "${item.label}" (use ${CLASSES.join(', ')})`);
+    }
+    const text = [item.text, item.comments].filter(Boolean).join(' ');
+    return { text: maskMentions(text, matcherFor(item.brand)), label: item.label };
+  });
+}
+
+// Examples from analyst overrides whose page is still in the page cache and unchanged
+function examplesFromOverrides(file, brandMatcher) {
+  const overrides = loadOverrides(file);
+  const pageCache = createPageCache({ dir: CACHE_DIR, ttl: Infinity });
+  const examples = [];
+  let uncached = 0;
+  let stale = 0;
+
+  Object.entries(overrides).forEach(([url, entry]) => {
+    const cached = pageCache.get(url);
+    if (!cached) {
+      uncached++;
+      return;
+    }
+    const content = extractContent(cached.html);
+    const match = matchOverride({ [url]: entry }, url, contentHash(content.main));
+    if (match.status === 'stale') {
+      stale++;
+      return;
+    }
+    const text = [brandText(content.main, brandMatcher), brandText(content.comments, brandMatcher)].filter(Boolean).join(' ');
+    if (text) examples.push({ text: maskMentions(text, brandMatcher), label: entry.classification });
+  });
+
+  return { examples, total: Object.keys(overrides).length, uncached, stale };
+}
+
+function main() {
+  const output = getStringFlag('output', DEFAULT_MODEL);
+  const brand = getStringFlag('brand', null);
+  const overridesFile = getStringFlag('overrides', OVERRIDES_FILE);
+  const dataFlag = getStringFlag('data', null);
+  const dataFiles = dataFlag
+    ? dataFlag.split(',').map(file => file.trim())
+    : (fs.existsSync(TRAINING_FILE) ? [TRAINING_FILE] : []);
+
+  console.log('='.repeat(60));
+  console.log('Train Sentiment Model');
+  console.log('='.repeat(60));
+
+  const examples = [];
+  const sources = [];
+  try {
+    dataFiles.forEach(file => {
+      const fromData = examplesFromData(file);
+      examples.push(...fromData);
+      sources.push({ type: 'data', file: path.relative(process.cwd(), file), examples: fromData.length });
+      console.log(`✓ ${path.relative(process.cwd(), file)}: ${fromData.length} examples`);
+    });
+
+    // Overrides are keyed by URL only, so the brand whose sentences they label must be given
+    if (brand) {
+      const brandMatcher = createBrandMatcher(findBrandProfile(brand) || defaultBrandProfile(brand));
+      const fromOverrides = examplesFromOverrides(overridesFile, brandMatcher);
+      examples.push(...fromOverrides.examples);
+      sources.push({ type: 'overrides', file: path.relative(process.cwd(), overridesFile), brand, examples: fromOverrides.examples.length });
+      console.log(`✓ ${path.relative(process.cwd(), overridesFile)}: ${fromOverrides.examples.length} of ${fromOverrides.total} overrides (${fromOverrides.uncached} not cached, ${fromOverrides.stale} stale)`);
+    } else {
+      console.log('ℹ️  Skipping analyst overrides (pass --brand=<profile> to train on them)');
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const labels = new Set(examples.map(e => e.label));
+  if (examples.length < MIN_EXAMPLES || labels.size < 2) {
+    console.error(`Error: Need at least ${MIN_EXAMPLES} examples across two or more labels (found ${examples.length})`);
+    process.exit(1);
+  }
+
+  // Each retrain of the same file bumps the version stamped into reports
+  let version = 1;
+  if (fs.existsSync(output)) {
+    try {
+      version = loadModel(output).version + 1;
+    } catch (error) {
+      console.log(`⚠️  Replacing unreadable model ${output} (${error.message})`);
+    }
+  }
+
+  const model = trainNaiveBayes(examples, { version, sources });
+  saveModel(model, output);
+
+  console.log();
+  console.log(`Examples per label: ${model.classes.map(cls => `${cls} ${model.docCounts[cls]}`).join(', ')}`);
+  console.log(`Vocabulary: ${model.vocabularySize} features`);
+  console.log(`✓ Saved ${formatModel(model)} to: ${output}`);
+  console.log('Run the analyzer with --engine=model or --engine=ensemble to use it.');
+}
+
+main();
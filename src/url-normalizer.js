@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+// Which URL variants count as the same page (scheme, www., trailing slash, tracking parameters, ...)
+const URL_RULES_FILE = path.join(__dirname, '..', 'config', 'url-rules.json');
+
+// rel=canonical merging: only within the page's own site, across sites (syndicated copies), or never
+const CANONICAL_MODES = ['same-site', 'any', 'off'];
+
+// Rules used for fields the rules file leaves out
+const DEFAULT_URL_RULES = {
+  ignoreScheme: true,
+  stripWww: true,
+  trailingSlash: 'strip',
+  stripFragment: true,
+  sortParams: true,
+  stripParams: [],
+  indexFiles: [],
+  amp: true,
+  mergeCanonical: 'same-site',
+};
+
+// Google's AMP cache serves pages as <something>.cdn.ampproject.org/c/s/<host>/<path>
+const AMP_CACHE_PATTERN = /^\/[cv]\/(s\/)?([^/]+)(\/.*)?$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "utm_*" → matches utm_source, utm_medium, ... (case-insensitive)
+const paramPattern = (pattern) => new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`, 'i');
+
+// Hostname without "www."
+const bareHost = (hostname) => hostname.toLowerCase().replace(/^www\./, '');
+
+// Read the URL rules: { ignoreScheme, stripWww, trailingSlash, stripFragment, sortParams,
+// stripParams, indexFiles, amp, mergeCanonical }
+function loadUrlRules(file = URL_RULES_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`URL rules not found: ${file}`);
+  }
+  const rules = { ...DEFAULT_URL_RULES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  if (!['strip', 'keep'].includes(rules.trailingSlash)) {
+    throw new Error(`Unknown trailingSlash "${rules.trailingSlash}" in ${file} (use strip, keep)`);
+  }
+  if (!CANONICAL_MODES.includes(rules.mergeCanonical)) {
+    throw new Error(`Unknown mergeCanonical "${rules.mergeCanonical}" in ${file} (use ${CANONICAL_MODES.join(', ')})`);
+  }
+  return rules;
+}
+
+// Parse an http(s) URL; null for anything else
+function parseHttpUrl(url) {
+  try {
+    const parsed = new URL(String(url).trim());
+    return /^https?:$/.test(parsed.protocol) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// The regular page behind an AMP URL: AMP cache links, amp. hosts, /amp paths, .amp.html
+// files and ?amp=1 / ?outputType=amp parameters
+function withoutAmp(parsed) {
+  let url = parsed;
+  const cache = url.hostname.endsWith('.cdn.ampproject.org') && url.pathname.match(AMP_CACHE_PATTERN);
+  if (cache) {
+    url = parseHttpUrl(`${cache[1] ? 'https' : 'http'}://${cache[2]}${cache[3] || '/'}${url.search}${url.hash}`) || url;
+  }
+  url = new URL(url.href);
+  url.hostname = url.hostname.replace(/^amp\./i, '');
+  url.pathname = url.pathname
+    .replace(/^\/amp(\/|$)/i, '/')
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/\.amp(\.html?)?$/i, '$1');
+  url.searchParams.delete('amp');
+  if ((url.searchParams.get('outputType') || '').toLowerCase() === 'amp') url.searchParams.delete('outputType');
+  return url;
+}
+
+// Whether a URL is an AMP variant of another page
+function isAmpUrl(url) {
+  const parsed = parseHttpUrl(url);
+  return Boolean(parsed) && withoutAmp(parsed).href !== parsed.href;
+}
+
+// URL normalizer for one rule set. `normalize(url)` returns the comparison key shared by every
+// variant of a page (null for non-http URLs); `cleanUrl(url)` only drops tracking parameters and
+// the fragment, so the result can still be fetched.
+function createUrlNormalizer(rules = DEFAULT_URL_RULES) {
+  const stripPatterns = (rules.stripParams || []).map(paramPattern);
+  const indexFiles = new Set((rules.indexFiles || []).map(file => file.toLowerCase()));
+
+  const keptParams = (searchParams) => {
+    const params = [...searchParams].filter(([name]) => !stripPatterns.some(pattern => pattern.test(name)));
+    if (rules.sortParams) {
+      params.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+    }
+    return params;
+  };
+
+  function normalize(url) {
+    let parsed = parseHttpUrl(url);
+    if (!parsed) return null;
+    if (rules.amp) parsed = withoutAmp(parsed);
+
+    const host = rules.stripWww ? bareHost(parsed.hostname) : parsed.hostname.toLowerCase();
+    const segments = parsed.pathname.split('/');
+    if (indexFiles.has(segments[segments.length - 1].toLowerCase())) {
+      segments[segments.length - 1] = '';
+    }
+    let pathname = segments.join('/');
+    if (rules.trailingSlash === 'strip') pathname = pathname.replace(/\/+$/, '');
+
+    const params = keptParams(parsed.searchParams);
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    const hash = rules.stripFragment ? '' : parsed.hash;
+    const scheme = rules.ignoreScheme ? '' : `${parsed.protocol}//`;
+    return `${scheme}${host}${parsed.port ? `:${parsed.port}` : ''}${pathname}${query}${hash}`;
+  }
+
+  function cleanUrl(url) {
+    const parsed = parseHttpUrl(url);
+    if (!parsed) return String(url).trim();
+    const params = [...parsed.searchParams].filter(([name]) => !stripPatterns.some(pattern => pattern.test(name)));
+    parsed.search = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    if (rules.stripFragment) parsed.hash = '';
+    return parsed.href;
+  }
+
+  // The variant to fetch for a group: non-AMP over AMP, https over http, then the first seen
+  function preferredUrl(urls) {
+    const rank = (url) => (isAmpUrl(url) ? 2 : 0) + (/^https:/i.test(url) ? 0 : 1);
+    return cleanUrl([...urls].sort((a, b) => rank(a) - rank(b))[0]);
+  }
+
+  // Whether a page's rel=canonical may merge it with the page it names
+  function canMergeCanonical(pageUrl, canonicalUrl) {
+    if (rules.mergeCanonical === 'off' || !canonicalUrl) return false;
+    if (rules.mergeCanonical === 'any') return true;
+    const page = parseHttpUrl(pageUrl);
+    const canonical = parseHttpUrl(canonicalUrl);
+    return Boolean(page && canonical) && bareHost(page.hostname) === bareHost(canonical.hostname);
+  }
+
+  return { rules, normalize, cleanUrl, preferredUrl, canMergeCanonical };
+}
+
+// Collapse backlink records whose URLs normalize to the same page, before fetching. Each kept
+// record gets the preferred variant as its `url` (the first row's link metrics are kept) and
+// `collapsed: { rows, variants }` with the number of source rows and the distinct URLs seen.
+function collapseBacklinks(records, normalizer) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = normalizer.normalize(record.url) || record.url;
+    if (!groups.has(key)) {
+      groups.set(key, { record, rows: 0, variants: [] });
+    }
+    const group = groups.get(key);
+    group.rows++;
+    if (!group.variants.includes(record.url)) group.variants.push(record.url);
+  });
+
+  return [...groups.values()].map(({ record, rows, variants }) => ({
+    ...record,
+    url: normalizer.preferredUrl(variants),
+    collapsed: { rows, variants },
+  }));
+}
+
+// Group fetched pages that turned out to be the same page: same final (redirected) URL, or a
+// rel=canonical naming another page in the list. Pages are [{ url, finalUrl, canonicalUrl }];
+// returns, per page, the index of the first page of its group.
+function groupEquivalentPages(pages, normalizer) {
+  const parent = pages.map((page, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => {
+    const [rootA, rootB] = [find(a), find(b)];
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  const owners = new Map();
+  const claim = (key, i) => {
+    if (!key) return;
+    if (owners.has(key)) union(owners.get(key), i);
+    else owners.set(key, i);
+  };
+
+  pages.forEach((page, i) => {
+    claim(normalizer.normalize(page.url), i);
+    claim(normalizer.normalize(page.finalUrl || page.url), i);
+  });
+  pages.forEach((page, i) => {
+    if (normalizer.canMergeCanonical(page.finalUrl || page.url, page.canonicalUrl)) {
+      claim(normalizer.normalize(page.canonicalUrl), i);
+    }
+  });
+
+  return pages.map((page, i) => find(i));
+}
+
+// "3 source rows (2 URL variants)" for report rows
+function formatCollapsed(collapsed) {
+  if (!collapsed || collapsed.rows <= 1) return '';
+  const variants = collapsed.variants.length;
+  return `${collapsed.rows} source rows${variants > 1 ? ` (${variants} URL variants)` : ''}`;
+}
+
+module.exports = {
+  URL_RULES_FILE,
+  CANONICAL_MODES,
+  loadUrlRules,
+  isAmpUrl,
+  createUrlNormalizer,
+  collapseBacklinks,
+  groupEquivalentPages,
+  formatCollapsed
+};